@@ -0,0 +1,94 @@
+// Account Linking
+// Redeems one-time codes generated on juiced.sh to bind a website account to immutable
+// Discord user IDs / Telegram chat IDs, so alert routing and per-user settings survive username changes
+
+const { createUserProfiles } = require('./user-profiles');
+
+const LINK_CODE_REGEX = /^[A-Za-z0-9-]{6,64}$/;
+
+// Create the account-linking helpers
+// account_link_codes: { code, user_id, platform ('discord' | 'telegram' | null), expires_at, used_at }
+// account_links:      { user_id, discord_user_id, discord_username, telegram_chat_id, telegram_username, updated_at }
+function createAccountLinking(supabase) {
+  const { claimLegacyProfiles } = createUserProfiles(supabase);
+
+  // identity: { platform: 'discord', userId, username } or { platform: 'telegram', chatId, username }
+  // Returns { ok: true } or { ok: false, reason } with a user-facing reason
+  async function redeemLinkCode(code, identity) {
+    if (!code || !LINK_CODE_REGEX.test(code)) {
+      return { ok: false, reason: 'That code does not look right.' };
+    }
+
+    const { data: linkCode, error } = await supabase
+      .from('account_link_codes')
+      .select('*')
+      .eq('code', code)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error loading link code:', error);
+      return { ok: false, reason: 'Linking failed. Please try again later.' };
+    }
+    if (!linkCode || linkCode.used_at) {
+      return { ok: false, reason: 'This code is invalid or was already used.' };
+    }
+    if (linkCode.expires_at && new Date(linkCode.expires_at).getTime() < Date.now()) {
+      return { ok: false, reason: 'This code has expired. Generate a new one on juiced.sh.' };
+    }
+    if (linkCode.platform && linkCode.platform !== identity.platform) {
+      return { ok: false, reason: `This code is for ${linkCode.platform}.` };
+    }
+
+    // Claim the code first so it cannot be redeemed twice concurrently
+    const { data: claimed, error: claimError } = await supabase
+      .from('account_link_codes')
+      .update({ used_at: new Date().toISOString() })
+      .eq('code', code)
+      .is('used_at', null)
+      .select('code');
+
+    if (claimError || !claimed || claimed.length === 0) {
+      return { ok: false, reason: 'This code is invalid or was already used.' };
+    }
+
+    const ids = identity.platform === 'discord'
+      ? { discord_user_id: String(identity.userId), discord_username: identity.username || null }
+      : { telegram_chat_id: String(identity.chatId), telegram_username: identity.username || null };
+
+    const { error: linkError } = await supabase
+      .from('account_links')
+      .upsert({ user_id: linkCode.user_id, ...ids, updated_at: new Date().toISOString() }, { onConflict: 'user_id' });
+
+    if (linkError) {
+      console.error('Error saving account link:', linkError);
+      return { ok: false, reason: 'Linking failed. Please try again later.' };
+    }
+
+    // Existing alerts of this account now route by ID
+    const alertIds = identity.platform === 'discord'
+      ? { discord_user_id: ids.discord_user_id }
+      : { telegram_chat_id: ids.telegram_chat_id };
+    const { error: alertsError } = await supabase
+      .from('notification_alerts')
+      .update(alertIds)
+      .eq('user_id', linkCode.user_id);
+
+    if (alertsError) {
+      console.error('Error updating alerts with linked IDs:', alertsError);
+    }
+
+    // Wallet / P&L / webhook settings and digests saved under the username move to the ID as well
+    await claimLegacyProfiles({
+      platform: identity.platform,
+      id: ids.discord_user_id || ids.telegram_chat_id,
+      username: identity.username
+    });
+
+    console.log(`✅ Account ${linkCode.user_id} linked to ${identity.platform} ${ids.discord_user_id || ids.telegram_chat_id}`);
+    return { ok: true };
+  }
+
+  return { redeemLinkCode };
+}
+
+module.exports = createAccountLinking;
@@ -0,0 +1,342 @@
+// Admin Console
+// Text commands in the admin log channel so support questions can be answered without opening Supabase
+
+const { PermissionFlagsBits } = require('discord.js');
+const { quoteFilterValue } = require('./user-profiles');
+
+const ADMIN_ROLE_ID = process.env.DISCORD_ADMIN_ROLE_ID; // Optional: role allowed besides server administrators
+const MAX_MESSAGE_LENGTH = 1900; // Discord limit is 2000, leave room for the footer
+const MAX_USER_ALERTS_SHOWN = 25;
+const PAGE_SIZE = 1000; // PostgREST caps responses at 1000 rows by default
+const PURGE_CONFIRM_WINDOW_MS = 60 * 1000;
+const KNOWN_ALERT_TYPES = ['price_alert', 'listing_alert', 'wallet_watch', 'pnl_alert'];
+
+const HELP_TEXT = [
+  '**Admin commands**',
+  '`!stats` - alerts by type, triggers and delivery failures in the last 24h',
+  '`!pause` / `!resume` - stop or restart alert monitoring',
+  '`!user <name>` - show a user\'s alerts (Discord or Telegram username, or linked ID)',
+  '`!purge <discord|telegram> <id|@name>` - delete all alerts of a Discord user ID / Telegram chat ID, or the unlinked alerts of a username (asks to `!confirm`)',
+  '`!broadcast <message>` - message every registered Telegram and Discord user'
+].join('\n');
+
+function formatPercent(part, total) {
+  return total > 0 ? `${((part / total) * 100).toFixed(1)}%` : '-';
+}
+
+// Helpers: async getDeliveryStats() -> { triggers, failed, byType, byChannel, windowStart },
+// async setMonitoringPaused(bool) (shared by all workers), isMonitoringPaused(), notifyAlert(alert, message, itemId, condition)
+function initAdminCommands(client, supabase, { channelId, getDeliveryStats, setMonitoringPaused, isMonitoringPaused, notifyAlert }) {
+  if (!client || !channelId) {
+    console.warn('⚠️ DISCORD_ADMIN_LOG_CHANNEL_ID not found - admin commands disabled');
+    return;
+  }
+
+  const pendingPurges = new Map(); // admin user id -> { platform, target, expiresAt }
+
+  function isAdmin(member) {
+    if (!member) return false;
+    if (member.permissions?.has(PermissionFlagsBits.Administrator)) return true;
+    return Boolean(ADMIN_ROLE_ID && member.roles?.cache.has(ADMIN_ROLE_ID));
+  }
+
+  // Helper: PostgREST filter matching alerts of a user by any of their handles
+  function userFilter(name) {
+    const handle = name.replace(/^@/, '');
+    const filters = [`discord_username.eq.${quoteFilterValue(handle)}`, `telegram_username.eq.${quoteFilterValue(handle)}`];
+    if (/^\d+$/.test(handle)) {
+      filters.push(`discord_user_id.eq.${handle}`, `telegram_chat_id.eq.${handle}`);
+    }
+    return filters.join(',');
+  }
+
+  function describeAlert(alert) {
+    const channels = Array.isArray(alert.notification_channels) && alert.notification_channels.length > 0
+      ? alert.notification_channels.join('+')
+      : (alert.notification_channel || 'discord');
+    const status = alert.status === 'suspended' ? ' ⏸️ suspended' : '';
+    const failures = alert.delivery_failures ? ` (${alert.delivery_failures} failed deliveries)` : '';
+    return `\`${alert.id}\` ${alert.alert_type || 'price_alert'} via ${channels}${status}${failures}`;
+  }
+
+  // Row count of a filtered table without loading it; null on error
+  async function countRows(table, applyFilter) {
+    const { count, error } = await applyFilter(supabase.from(table).select('id', { count: 'exact', head: true }));
+
+    if (error) {
+      console.error(`[ADMIN] Failed to count ${table} rows:`, error.message);
+      return null;
+    }
+    return count;
+  }
+
+  // Every row of a table, paged by range in orderColumn order
+  async function selectAll(table, columns, orderColumn) {
+    const rows = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from(table)
+        .select(columns)
+        .order(orderColumn, { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) {
+        throw new Error(`${table}: ${error.message}`);
+      }
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+    return rows;
+  }
+
+  async function handleStats() {
+    const [total, suspended, pending, dead, ...typeCounts] = await Promise.all([
+      countRows('notification_alerts', query => query),
+      countRows('notification_alerts', query => query.eq('status', 'suspended')),
+      countRows('notification_queue', query => query.eq('status', 'pending')),
+      countRows('notification_queue', query => query.eq('status', 'dead')),
+      ...KNOWN_ALERT_TYPES.map(type => countRows('notification_alerts', query => (type === 'price_alert'
+        ? query.or('alert_type.is.null,alert_type.eq.price_alert') // legacy rows without a type are price alerts
+        : query.eq('alert_type', type))))
+    ]);
+
+    if (total === null) {
+      return '❌ Failed to load alerts.';
+    }
+
+    const alertsByType = {};
+    KNOWN_ALERT_TYPES.forEach((type, index) => {
+      if (typeCounts[index]) alertsByType[type] = typeCounts[index];
+    });
+    const otherCount = total - typeCounts.reduce((sum, count) => sum + (count || 0), 0);
+    if (otherCount > 0 && typeCounts.every(count => count !== null)) {
+      alertsByType.other = otherCount;
+    }
+
+    const stats = await getDeliveryStats();
+    const since = new Date(stats.windowStart).toISOString().replace('T', ' ').slice(0, 16);
+
+    const lines = [
+      `**Monitoring:** ${isMonitoringPaused() ? '⏸️ paused' : '▶️ running'}`,
+      '',
+      `**Alerts (${total}, ${suspended ?? '?'} suspended)**`,
+      ...Object.entries(alertsByType).sort((a, b) => b[1] - a[1]).map(([type, count]) => `${type}: **${count}**`),
+      '',
+      `**Triggers since ${since} UTC**`,
+      `Total: **${stats.triggers}**, undelivered: **${stats.failed}** (${formatPercent(stats.failed, stats.triggers)})`,
+      ...Object.entries(stats.byType).map(([type, count]) => `${type}: **${count}**`),
+      '',
+      '**Delivery failure rate by channel**',
+      ...Object.entries(stats.byChannel).map(([channel, { sent, failed }]) =>
+        `${channel}: **${formatPercent(failed, sent + failed)}** (${failed}/${sent + failed})`),
+      '',
+      `**Retry queue:** ${pending ?? '?'} pending, ${dead ?? '?'} dead`
+    ];
+    return lines.join('\n');
+  }
+
+  async function handleUser(args) {
+    const [name] = args;
+    if (!name) {
+      return 'Usage: `!user <name>`';
+    }
+
+    const { data: alerts, error } = await supabase
+      .from('notification_alerts')
+      .select('*')
+      .or(userFilter(name));
+
+    if (error) {
+      console.error(`[ADMIN] Failed to load alerts of ${name}:`, error.message);
+      return '❌ Failed to load alerts.';
+    }
+    if (!alerts || alerts.length === 0) {
+      return `No alerts found for **${name}**.`;
+    }
+
+    const first = alerts[0];
+    const lines = [
+      `**${name}** - ${alerts.length} alert${alerts.length === 1 ? '' : 's'}`,
+      `Discord: ${first.discord_username || '-'} (${first.discord_user_id || 'not linked'}), Telegram: ${first.telegram_username || '-'} (${first.telegram_chat_id || 'not linked'})`,
+      ...alerts.slice(0, MAX_USER_ALERTS_SHOWN).map(describeAlert)
+    ];
+    if (alerts.length > MAX_USER_ALERTS_SHOWN) {
+      lines.push(`…and ${alerts.length - MAX_USER_ALERTS_SHOWN} more`);
+    }
+    return lines.join('\n');
+  }
+
+  // Alerts are purged on one platform only (the Discord and Telegram handle of the same name can belong to
+  // different people): by linked ID, or by username for legacy alerts without one. A username never matches
+  // ID-linked alerts, since usernames are reused.
+  function getPurgeTarget(platform, target) {
+    const [idColumn, usernameColumn] = platform === 'discord'
+      ? ['discord_user_id', 'discord_username']
+      : ['telegram_chat_id', 'telegram_username'];
+
+    if (/^-?\d+$/.test(target)) {
+      return { label: `${platform} ID **${target}**`, apply: query => query.eq(idColumn, target) };
+    }
+    const username = target.replace(/^@/, '');
+    return {
+      label: `unlinked ${platform} user **${username}**`,
+      apply: query => query.is(idColumn, null).eq(usernameColumn, username)
+    };
+  }
+
+  async function handlePurge(message, args) {
+    const [platform, target] = args;
+    if (!['discord', 'telegram'].includes(platform) || !target || target === '@') {
+      return 'Usage: `!purge <discord|telegram> <id|@name>` (Discord user ID / Telegram chat ID, or username of unlinked alerts)';
+    }
+
+    const { label, apply } = getPurgeTarget(platform, target);
+    const count = await countRows('notification_alerts', apply);
+    if (count === null) {
+      return '❌ Failed to count alerts.';
+    }
+    if (count === 0) {
+      return `No alerts found for ${label}.`;
+    }
+
+    pendingPurges.set(message.author.id, { platform, target, expiresAt: Date.now() + PURGE_CONFIRM_WINDOW_MS });
+    return `⚠️ This deletes **${count}** alert${count === 1 ? '' : 's'} of ${label}. Type \`!confirm\` within ${PURGE_CONFIRM_WINDOW_MS / 1000}s to proceed.`;
+  }
+
+  async function handleConfirm(message) {
+    const purge = pendingPurges.get(message.author.id);
+    pendingPurges.delete(message.author.id);
+    if (!purge || purge.expiresAt < Date.now()) {
+      return 'Nothing to confirm.';
+    }
+
+    const { label, apply } = getPurgeTarget(purge.platform, purge.target);
+    const { data: deleted, error } = await apply(supabase.from('notification_alerts').delete()).select('id');
+
+    if (error) {
+      console.error(`[ADMIN] Failed to purge alerts of ${purge.platform} ${purge.target}:`, error.message);
+      return '❌ Failed to purge alerts.';
+    }
+    console.log(`[ADMIN] ${message.author.username} purged ${deleted.length} alerts of ${purge.platform} ${purge.target}`);
+    return `🗑️ Deleted **${deleted.length}** alert${deleted.length === 1 ? '' : 's'} of ${label}.`;
+  }
+
+  // Everyone with a Telegram chat or a Discord identity on record, deduplicated by ID where known
+  async function getBroadcastRecipients() {
+    const [mappings, links, alerts] = await Promise.all([
+      selectAll('telegram_mappings', 'username, chat_id', 'username'),
+      selectAll('account_links', 'user_id, discord_user_id, discord_username, telegram_chat_id, telegram_username', 'user_id'),
+      selectAll('notification_alerts', 'id, discord_user_id, discord_username', 'id')
+    ]);
+
+    const telegram = new Map();
+    mappings.forEach(row => {
+      if (row.chat_id) telegram.set(String(row.chat_id), { telegram_chat_id: row.chat_id, telegram_username: row.username });
+    });
+
+    const discord = new Map();
+    const knownDiscordNames = new Set();
+    [...links, ...alerts].forEach(row => {
+      if (row.telegram_chat_id && !telegram.has(String(row.telegram_chat_id))) {
+        telegram.set(String(row.telegram_chat_id), { telegram_chat_id: row.telegram_chat_id, telegram_username: row.telegram_username });
+      }
+      if (row.discord_user_id) {
+        discord.set(`id:${row.discord_user_id}`, { discord_user_id: row.discord_user_id, discord_username: row.discord_username });
+        if (row.discord_username) knownDiscordNames.add(row.discord_username);
+      }
+    });
+    [...links, ...alerts].forEach(row => {
+      if (!row.discord_user_id && row.discord_username && !knownDiscordNames.has(row.discord_username)) {
+        discord.set(`name:${row.discord_username}`, { discord_username: row.discord_username });
+      }
+    });
+
+    return { telegram: [...telegram.values()], discord: [...discord.values()] };
+  }
+
+  async function handleBroadcast(message, text) {
+    if (!text) {
+      return 'Usage: `!broadcast <message>`';
+    }
+
+    let recipients;
+    try {
+      recipients = await getBroadcastRecipients();
+    } catch (error) {
+      console.error('[ADMIN] Failed to load broadcast recipients:', error.message);
+      return '❌ Failed to load recipients.';
+    }
+
+    await message.reply(`📣 Broadcasting to ${recipients.telegram.length} Telegram and ${recipients.discord.length} Discord users…`);
+
+    const broadcastMessage = `📣 **Juiced Announcement** 📣\n${text}`;
+    const counts = { telegram: { sent: 0, failed: 0 }, discord: { sent: 0, failed: 0 } };
+
+    for (const recipient of recipients.telegram) {
+      const { success } = await notifyAlert({ notification_channel: 'telegram', ...recipient }, broadcastMessage, null, 'default');
+      counts.telegram[success ? 'sent' : 'failed']++;
+    }
+    for (const recipient of recipients.discord) {
+      const { success } = await notifyAlert({ notification_channel: 'discord_dm', ...recipient }, broadcastMessage, null, 'default');
+      counts.discord[success ? 'sent' : 'failed']++;
+    }
+
+    console.log(`[ADMIN] Broadcast finished: ${JSON.stringify(counts)}`);
+    return `✅ Broadcast done. Telegram: ${counts.telegram.sent} sent, ${counts.telegram.failed} failed. Discord: ${counts.discord.sent} sent, ${counts.discord.failed} failed.`;
+  }
+
+  client.on('messageCreate', async (message) => {
+    if (message.author.bot || message.channelId !== channelId || !message.content.startsWith('!')) return;
+    if (!isAdmin(message.member)) return;
+
+    const [command, ...args] = message.content.trim().split(/\s+/);
+
+    try {
+      let reply;
+      switch (command.toLowerCase()) {
+        case '!stats':
+          reply = await handleStats();
+          break;
+        case '!pause':
+          await setMonitoringPaused(true);
+          console.log(`[ADMIN] Monitoring paused by ${message.author.username}`);
+          reply = '⏸️ Monitoring paused. Alerts will not be checked until `!resume`.';
+          break;
+        case '!resume':
+          await setMonitoringPaused(false);
+          console.log(`[ADMIN] Monitoring resumed by ${message.author.username}`);
+          reply = '▶️ Monitoring resumed.';
+          break;
+        case '!user':
+          reply = await handleUser(args);
+          break;
+        case '!purge':
+          reply = await handlePurge(message, args);
+          break;
+        case '!confirm':
+          reply = await handleConfirm(message);
+          break;
+        case '!broadcast':
+          reply = await handleBroadcast(message, message.content.trim().slice(command.length).trim());
+          break;
+        case '!help':
+          reply = HELP_TEXT;
+          break;
+        default:
+          return;
+      }
+
+      if (reply.length > MAX_MESSAGE_LENGTH) {
+        reply = `${reply.slice(0, MAX_MESSAGE_LENGTH)}\n…(truncated)`;
+      }
+      await message.reply(reply);
+    } catch (error) {
+      console.error(`[ADMIN] Error handling ${command}:`, error.message);
+      await message.reply('❌ Something went wrong.').catch(() => {});
+    }
+  });
+
+  console.log('Admin commands enabled in admin log channel');
+}
+
+module.exports = initAdminCommands;
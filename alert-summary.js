@@ -0,0 +1,43 @@
+// Alert Summaries
+// One-line descriptions of alert rows and notification_log entries, shared by the Discord and Telegram commands
+
+// Helper: Format ETH with trimmed trailing zeros
+function formatETH(ethValue) {
+  return Number(ethValue).toFixed(6).replace(/\.?0+$/, '');
+}
+
+// Helper: Build one-line summary of an alert row
+function describeAlert(alert) {
+  if (alert.status === 'suspended') {
+    return `⏸️ ${describeAlert({ ...alert, status: null })} (suspended)`;
+  }
+  if (alert.status === 'disabled') {
+    return `🔕 ${describeAlert({ ...alert, status: null })} (unsubscribed)`;
+  }
+  if (alert.alert_type === 'listing_alert') {
+    const names = (alert.listing_ids || []).map(l => l.item_name).filter(Boolean);
+    return `📦 Listing: ${names.join(', ') || 'listing'}`;
+  }
+
+  const items = alert.item_ids || [];
+  const first = items[0] || {};
+  if (alert.alert_type === 'pnl_alert') {
+    const target = first.pnl_target_percent !== undefined ? `${first.pnl_target_percent}%` : `$${parseFloat(first.pnl_target_usd).toFixed(2)}`;
+    return `📊 P&L: ${first.name || 'Item ' + first.id} ${first.pnl_condition || 'above'} ${target}`;
+  }
+  const condition = first.price_condition || alert.price_condition || 'below';
+  const usdTarget = first.target_price_usd ?? alert.target_price_usd;
+  const ethTarget = first.target_price_eth ?? alert.target_price_eth;
+  const target = ethTarget ? `Ξ${formatETH(ethTarget)}` : (usdTarget ? `$${parseFloat(usdTarget).toFixed(2)}` : '?');
+  const extra = items.length > 1 ? ` +${items.length - 1}` : '';
+  return `${condition === 'above' ? '📈' : '📉'} ${first.name || 'Item ' + first.id}${extra} ${condition} ${target}`;
+}
+
+// Helper: One-line summary of a notification_log message (title + headline, markdown stripped)
+function summarizeNotification(message) {
+  const [title, headline] = String(message || '').split('\n');
+  const text = [title, headline].filter(Boolean).join(' - ').replace(/\*\*/g, '');
+  return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+}
+
+module.exports = { describeAlert, summarizeNotification };
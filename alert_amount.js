@@ -1,8 +1,32 @@
 require('dotenv').config();
+const http = require('http');
+const os = require('os');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 const { Client, GatewayIntentBits, EmbedBuilder, AttachmentBuilder } = require('discord.js');
 const { createClient } = require('@supabase/supabase-js');
 const TelegramBot = require('node-telegram-bot-api');
 const initTelegramCommands = require('./telegram-commands');
+const initDiscordCommands = require('./discord-commands');
+const createWebhookNotifier = require('./webhook-notifier');
+const createEmailNotifier = require('./email-notifier');
+const createAccountLinking = require('./account-linking');
+const { createUserProfiles, ownerFilter, getRowOwner, getProfileRecipient } = require('./user-profiles');
+const { createNotificationLog, getFingerprint, getIdempotencyKey } = require('./notification-log');
+const {
+  CHANNEL_ALIASES,
+  getAlertChannels,
+  getFailedChannels,
+  getFallbackChannels,
+  getQueueBackoffMs,
+  getRetrySnapshot,
+  countDeliveryFailure
+} = require('./delivery');
+const { getListingFills } = require('./listing-fills');
+const createPriceOracle = require('./price-oracle');
+const createMarketplaceClient = require('./marketplace-client');
+const initAdminCommands = require('./admin-commands');
+const { createCounter, createGauge, createSummary, addCollector, renderMetrics } = require('./metrics');
 const { APP_VERSION } = require('./version');
 const { ethers } = require('ethers');
 
@@ -10,123 +34,116 @@ const { ethers } = require('ethers');
 const SUBGRAPH_URL = process.env.SUBGRAPH_URL;
 const API_BASE_URL = process.env.API_BASE_URL;
 
-async function querySubgraph(query, variables = {}) {
-  const response = await fetch(SUBGRAPH_URL, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ query, variables })
-  });
-  const result = await response.json();
-  if (result.errors) throw new Error(result.errors[0].message);
-  return result.data;
-}
-
-// ETH price fetching with multiple API fallbacks
-async function getEthToUsdRate() {
-  let ethToUsdRate = 0;
-  
-  // Primary API: Binance
-  try {
-    const binanceResponse = await fetch('https://api.binance.com/api/v3/ticker/price?symbol=ETHUSDT');
-    if (!binanceResponse.ok) {
-      throw new Error(`Binance API error: ${binanceResponse.status}`);
-    }
-    const binanceData = await binanceResponse.json();
-    ethToUsdRate = parseFloat(binanceData.price) || 0;
-    if (ethToUsdRate > 0) {
-      return ethToUsdRate;
-    }
-    throw new Error('Invalid price from Binance');
-  } catch (error) {
-    console.error(` Binance failed:`, error.message);
-  }
-  
-  // Secondary API: CoinGecko
+// ======================= Metrics =======================
+// Exposed at GET /metrics (see HTTP server section)
+const upstreamLatency = createSummary('juiced_upstream_request_duration_seconds', 'Upstream API request latency in seconds');
+const upstreamErrors = createCounter('juiced_upstream_errors_total', 'Upstream API requests that failed or returned a non-2xx status');
+const checkDuration = createGauge('juiced_check_duration_seconds', 'Duration of the last run of each monitoring check in seconds');
+const checkLastRun = createGauge('juiced_check_last_run_timestamp_seconds', 'Unix time each monitoring check last finished');
+const checkErrors = createCounter('juiced_check_errors_total', 'Monitoring check runs that threw');
+const alertsEvaluated = createCounter('juiced_alerts_evaluated_total', 'Alerts evaluated by monitoring checks');
+const alertsTriggered = createCounter('juiced_alerts_triggered_total', 'Alerts that triggered a notification');
+const notificationsTotal = createCounter('juiced_notifications_total', 'Notification deliveries per channel and result');
+
+const UPSTREAM_TIMEOUT_MS = parseInt(process.env.UPSTREAM_TIMEOUT_MS || '30000', 10);
+const cycleContext = new AsyncLocalStorage(); // { signal } of the monitoring cycle the current code runs in
+
+// fetch() that records latency and errors under an upstream label
+// Requests time out after UPSTREAM_TIMEOUT_MS and are cancelled with the monitoring cycle that issued them
+async function timedFetch(upstream, url, options = {}) {
+  const signals = [AbortSignal.timeout(UPSTREAM_TIMEOUT_MS)];
+  const cycleSignal = cycleContext.getStore()?.signal;
+  if (cycleSignal) signals.push(cycleSignal);
+  if (options.signal) signals.push(options.signal);
+
+  const startedAt = Date.now();
   try {
-    const coingeckoResponse = await fetch('https://api.coingecko.com/api/v3/simple/price?ids=ethereum&vs_currencies=usd');
-    if (!coingeckoResponse.ok) {
-      throw new Error(`CoinGecko API error: ${coingeckoResponse.status}`);
-    }
-    const coingeckoData = await coingeckoResponse.json();
-    ethToUsdRate = parseFloat(coingeckoData?.ethereum?.usd) || 0;
-    if (ethToUsdRate > 0) {
-      return ethToUsdRate;
+    const response = await fetch(url, { ...options, signal: AbortSignal.any(signals) });
+    if (!response.ok) {
+      upstreamErrors.inc({ upstream });
     }
-    throw new Error('Invalid price from CoinGecko');
+    return response;
   } catch (error) {
-    console.error(` CoinGecko failed:`, error.message);
+    upstreamErrors.inc({ upstream });
+    throw error;
+  } finally {
+    upstreamLatency.observe({ upstream }, (Date.now() - startedAt) / 1000);
   }
-  
-  // No hardcoded fallback - return 0 if both APIs fail
-  return 0;
 }
 
+// Shared marketplace data client (caching, coalescing, per-host rate limits, retries)
+const marketplace = createMarketplaceClient({
+  apiBaseUrl: API_BASE_URL,
+  subgraphUrl: SUBGRAPH_URL,
+  appVersion: APP_VERSION,
+  request: timedFetch
+});
+
+async function querySubgraph(query, variables = {}) {
+  return marketplace.querySubgraph(query, variables);
+}
+
+// Shared JSON-RPC provider (real-time alerts, on-chain ETH/USD feed)
+const RPC_URL = process.env.ABSTRACT_RPC_URL || 'https://api.mainnet.abs.xyz';
+const rpcProvider = new ethers.JsonRpcProvider(RPC_URL);
+
+// ETH/USD from the shared price oracle (ETH_USD_SOURCES); 0 means no fresh price, never $0
+const priceOracle = createPriceOracle({
+  request: (source, url) => timedFetch(source, url),
+  provider: rpcProvider
+});
+const { getEthToUsdRate } = priceOracle;
+
 // Fetch orderbook for an item (aggregated price levels)
-async function fetchOrderbook(itemId) {
+// Returns { asks, bids }: asks sorted lowest first, bids highest first
+async function fetchOrderbook(itemId, options = {}) {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/orderbook/${itemId}`, {
-      headers: { 'X-App-Version': APP_VERSION }
-    });
-    if (!response.ok) {
-      throw new Error(`Orderbook API error: ${response.status}`);
-    }
-    const data = await response.json();
-    return data.asks || [];
+    return await marketplace.getOrderbook(itemId, options);
   } catch (error) {
     console.error(` Failed to fetch orderbook for item ${itemId}:`, error.message);
-    return [];
+    return { asks: [], bids: [] };
   }
 }
 
 // Fetch listings for an item with owner info
 async function fetchListingsForItem(itemId) {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/listings?itemId=${itemId}`, {
-      headers: { 'X-App-Version': APP_VERSION }
-    });
-    if (!response.ok) {
-      throw new Error(`Listings API error: ${response.status}`);
-    }
-    const listings = await response.json();
-    return listings || [];
+    return await marketplace.getListings(itemId);
   } catch (error) {
     console.error(` Failed to fetch listings for item ${itemId}:`, error.message);
     return [];
   }
 }
 
-// Fetch PNL data for a user address
-async function fetchUserPnL(address, itemId) {
+// Fetch all PNL positions for a user address (null on failure)
+async function fetchUserPositions(address) {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/user-pnl/${address}`, {
-      headers: { 'X-App-Version': APP_VERSION }
-    });
-    if (!response.ok) {
-      throw new Error(`PNL API error: ${response.status}`);
-    }
-    const data = await response.json();
-    const itemPosition = data.positions?.find(p => p.itemId === itemId.toString());
-    return itemPosition || null;
+    return await marketplace.getUserPositions(address);
   } catch (error) {
     console.error(` Failed to fetch PNL for ${address}:`, error.message);
     return null;
   }
 }
 
-// Fetch inventory balance for a user
-async function fetchUserInventory(address, itemId) {
+// Fetch PNL data for a user address
+async function fetchUserPnL(address, itemId) {
+  const positions = await fetchUserPositions(address);
+  const itemPosition = positions?.find(p => p.itemId === itemId.toString());
+  return itemPosition || null;
+}
+
+// Fetch current floor prices (itemId string -> ETH)
+async function fetchFloorPriceLookup() {
+  return marketplace.getFloorPriceLookup();
+}
+
+// Fetch all inventory balances for a user (itemId string -> balance, null on failure)
+async function fetchUserBalances(address) {
   try {
-    const response = await fetch(`https://gigaverse.io/api/importexport/balances/${address}`);
-    if (!response.ok) {
-      throw new Error(`Inventory API error: ${response.status}`);
-    }
-    const data = await response.json();
-    const entities = data.entities || [];
-    const item = entities.find(i => i.ID_CID === itemId.toString());
-    return item ? parseInt(item.BALANCE_CID) : 0;
+    return await marketplace.getUserBalances(address);
   } catch (error) {
     console.error(` Failed to fetch inventory for ${address}:`, error.message);
-    return 0;
+    return null;
   }
 }
 
@@ -142,17 +159,65 @@ const client = new Client({
 });
 
 // Initialize Supabase
+// Every query gets a timeout and, inside a monitoring cycle, the cycle's abort signal (supabase-js has no
+// default timeout, so one hung query would otherwise keep the cycle running forever)
 const supabase = createClient(
   process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
+  process.env.SUPABASE_ANON_KEY,
+  {
+    global: {
+      fetch: (url, options = {}) => {
+        const signals = [AbortSignal.timeout(UPSTREAM_TIMEOUT_MS)];
+        const cycleSignal = cycleContext.getStore()?.signal;
+        if (cycleSignal) signals.push(cycleSignal);
+        if (options.signal) signals.push(options.signal);
+        return fetch(url, { ...options, signal: AbortSignal.any(signals) });
+      }
+    }
+  }
 );
 
+const { redeemLinkCode } = createAccountLinking(supabase);
+const userProfiles = createUserProfiles(supabase);
+
+// ======================= Multi-instance operation =======================
+// Alerts (and queue rows, digests, P&L summaries) are partitioned across WORKER_COUNT instances by a hash of
+// their id; WORKER_INDEX (0-based) selects this instance's share. Worker 0 additionally runs everything that
+// must exist once per bot: Telegram polling, Discord slash commands and the admin console.
+// Before a trigger is sent it is claimed in notification_log (see below), so two instances owning the same
+// partition (e.g. during a rolling deploy) never deliver it twice.
+const WORKER_COUNT = Math.max(1, parseInt(process.env.WORKER_COUNT || '1', 10));
+const WORKER_INDEX = parseInt(process.env.WORKER_INDEX || '0', 10);
+const IS_PRIMARY_WORKER = WORKER_INDEX === 0;
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+if (WORKER_INDEX < 0 || WORKER_INDEX >= WORKER_COUNT) {
+  console.error(`❌ WORKER_INDEX ${WORKER_INDEX} is outside 0..${WORKER_COUNT - 1} - this instance owns no alerts`);
+} else if (WORKER_COUNT > 1) {
+  console.log(`✅ Worker ${WORKER_INDEX + 1}/${WORKER_COUNT}${IS_PRIMARY_WORKER ? ' (primary)' : ''}`);
+}
+
+function isOwnedByWorker(id) {
+  if (WORKER_COUNT === 1) return true;
+  const hash = crypto.createHash('sha1').update(String(id)).digest().readUInt32BE(0);
+  return hash % WORKER_COUNT === WORKER_INDEX;
+}
+
+// Rows of this worker's partition
+function ownRows(rows) {
+  return (rows || []).filter(row => isOwnedByWorker(row.id));
+}
+
+// ======================= Notification log =======================
+// Every trigger is claimed in notification_log before it is sent (see notification-log.js)
+const { claimNotification, finishNotificationLog, releaseNotificationClaim } = createNotificationLog(supabase, { workerId: WORKER_ID });
+
 // Initialize Telegram bot
 const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 let telegramBot = null;
 if (TELEGRAM_BOT_TOKEN) {
   try {
-    telegramBot = new TelegramBot(TELEGRAM_BOT_TOKEN, { polling: true });
+    telegramBot = new TelegramBot(TELEGRAM_BOT_TOKEN, { polling: IS_PRIMARY_WORKER });
     console.log('✅ Telegram bot initialized');
   } catch (error) {
     console.error('❌ Failed to initialize Telegram bot:', error.message);
@@ -217,10 +282,22 @@ async function getTelegramChatId(username) {
 
 // Telegram bot /start command
 if (telegramBot) {
-  telegramBot.onText(/\/start/, async (msg) => {
+  telegramBot.onText(/\/start(?:\s+(\S+))?/, async (msg, match) => {
     const chatId = msg.chat.id;
     const username = msg.from.username;
 
+    // /start <code> links this chat to a juiced.sh account (works without a username)
+    const linkCode = match?.[1];
+    if (linkCode) {
+      const result = await redeemLinkCode(linkCode, { platform: 'telegram', chatId, username });
+      await telegramBot.sendMessage(chatId, result.ok
+        ? '✅ Telegram linked to your Juiced account. Alerts will reach this chat even if you change your username.'
+        : `❌ ${result.reason}`);
+      if (!result.ok || !username) {
+        return;
+      }
+    }
+
     if (!username) {
       await telegramBot.sendMessage(chatId, '❌ You need to set a Telegram username first to use this bot.\n\nGo to Settings → Edit Profile → Username');
       return;
@@ -245,7 +322,7 @@ if (telegramBot) {
   });
 
   // Initialize Telegram commands for alert management
-  initTelegramCommands(telegramBot, supabase);
+  initTelegramCommands(telegramBot, supabase, { getEthToUsdRate, marketplace });
 }
 
 // Discord bot ready event (using clientReady to avoid deprecation warning)
@@ -253,6 +330,11 @@ client.once('ready', () => {
   console.log(`✅ Discord bot logged in as ${client.user.tag}`);
 });
 
+// Initialize Discord slash commands for alert management
+if (IS_PRIMARY_WORKER) {
+  initDiscordCommands(client, supabase, { fetchListingsForItem, redeemLinkCode, marketplace });
+}
+
 function matchesDiscordMember(member, discordUsername, cleanUsername) {
   const candidates = [
     member.user.username,
@@ -267,12 +349,22 @@ function matchesDiscordMember(member, discordUsername, cleanUsername) {
   );
 }
 
-async function findDiscordMember(discordUsername) {
+// Resolve a guild member by linked user ID when known, otherwise by username
+async function findDiscordMember(discordUsername, discordUserId = null) {
   const guild = client.guilds.cache.get(GUILD_ID);
   if (!guild) {
     throw new Error('Guild not found');
   }
 
+  if (discordUserId) {
+    try {
+      return await guild.members.fetch(discordUserId);
+    } catch (error) {
+      console.warn(`[DISCORD] Linked member ${discordUserId} not found: ${error.message}`);
+      return null;
+    }
+  }
+
   const cleanUsername = discordUsername.replace(/[@\s]/g, '');
 
   // Try cached members first
@@ -297,9 +389,9 @@ async function findDiscordMember(discordUsername) {
 }
 
 // Function to send DM to user (with optional embed image)
-async function sendDirectMessage(discordUsername, message, itemId = null, condition = 'above') {
+async function sendDirectMessage(discordUsername, message, itemId = null, condition = 'above', options = {}) {
   try {
-    const member = await findDiscordMember(discordUsername);
+    const member = await findDiscordMember(discordUsername, options.discordUserId);
 
     if (!member) {
       console.error(`User ${discordUsername} not found in server`);
@@ -308,7 +400,7 @@ async function sendDirectMessage(discordUsername, message, itemId = null, condit
 
     // If itemId is provided, send embed with image
     if (itemId) {
-      const { embed, files } = await buildEmbedWithIcon(message, itemId, condition, 'dm');
+      const { embed, files } = await buildEmbedWithIcon(message, itemId, condition, 'dm', { fields: options.fields });
       const sendOptions = { embeds: [embed] };
       if (files) {
         sendOptions.files = files;
@@ -316,7 +408,7 @@ async function sendDirectMessage(discordUsername, message, itemId = null, condit
       await member.send(sendOptions);
     } else {
       // Send plain text message
-      await member.send(message);
+      await member.send(appendFieldsAsText(message, options.fields));
     }
 
     return true;
@@ -327,7 +419,7 @@ async function sendDirectMessage(discordUsername, message, itemId = null, condit
 }
 
 // Function to find or create private thread for user (with optional embed image)
-async function findOrCreatePrivateThread(discordUsername, message, itemId = null, condition = 'above') {
+async function findOrCreatePrivateThread(discordUsername, message, itemId = null, condition = 'above', options = {}) {
   let member = null;
   let channel = null;
   try {
@@ -336,7 +428,7 @@ async function findOrCreatePrivateThread(discordUsername, message, itemId = null
       throw new Error('Guild not found');
     }
 
-    member = await findDiscordMember(discordUsername);
+    member = await findDiscordMember(discordUsername, options.discordUserId);
     if (!member) {
       console.error(`User ${discordUsername} not found for private thread`);
       return false;
@@ -352,7 +444,7 @@ async function findOrCreatePrivateThread(discordUsername, message, itemId = null
     const permissions = botMember.permissionsIn(channel);
     if (!permissions.has('CreatePrivateThreads')) {
       console.warn(`⚠️ Bot missing CreatePrivateThreads permission in channel ${channel.name}`);
-      return await sendChannelAlert(channel, member, message, itemId, condition);
+      return await sendChannelAlert(channel, member, message, itemId, condition, options);
     }
 
     // Look for existing private thread for this user
@@ -407,7 +499,7 @@ async function findOrCreatePrivateThread(discordUsername, message, itemId = null
         itemId,
         condition,
         'thread',
-        { preferAttachment: canAttach }
+        { preferAttachment: canAttach, fields: options.fields }
       );
       const sendOptions = { embeds: [embed] };
       if (files) {
@@ -416,7 +508,7 @@ async function findOrCreatePrivateThread(discordUsername, message, itemId = null
       await thread.send(sendOptions);
     } else {
       // Send plain text message
-      await thread.send(`<@${member.user.id}> ${message}`);
+      await thread.send(`<@${member.user.id}> ${appendFieldsAsText(message, options.fields)}`);
     }
 
     return true;
@@ -427,7 +519,7 @@ async function findOrCreatePrivateThread(discordUsername, message, itemId = null
       stack: error.stack
     });
     if (channel && member && (error.code === 50013 || /Missing Permissions/i.test(error.message))) {
-      const fallbackSent = await sendChannelAlert(channel, member, message, itemId, condition);
+      const fallbackSent = await sendChannelAlert(channel, member, message, itemId, condition, options);
       if (fallbackSent) {
         return true;
       }
@@ -450,7 +542,7 @@ async function getTelegramIconPayload(itemId, condition) {
   const url = `${API_BASE_URL}/api/telegram-icon/${itemId}?condition=${condition}&v=${cacheBuster}`;
 
   try {
-    const response = await fetch(url, { headers: { 'X-App-Version': APP_VERSION } });
+    const response = await timedFetch('juiced_api', url, { headers: { 'X-App-Version': APP_VERSION } });
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}`);
     }
@@ -490,6 +582,10 @@ async function buildEmbedWithIcon(description, itemId, condition, attachmentPref
     .setColor(getConditionColor(condition))
     .setTimestamp();
 
+  if (options.fields && options.fields.length > 0) {
+    embed.addFields(options.fields.slice(0, 25));
+  }
+
   let files = undefined;
   if (itemId) {
     const payload = await getTelegramIconPayload(itemId, condition);
@@ -505,7 +601,16 @@ async function buildEmbedWithIcon(description, itemId, condition, attachmentPref
   return { embed, files };
 }
 
-async function sendChannelAlert(channel, member, message, itemId, condition) {
+// Plain-text rendition of embed fields (Telegram captions and text-only Discord messages)
+function appendFieldsAsText(message, fields) {
+  if (!fields || fields.length === 0) {
+    return message;
+  }
+  const blocks = fields.map(field => `**${field.name}**\n${field.value}`);
+  return `${message}\n\n${blocks.join('\n\n')}`;
+}
+
+async function sendChannelAlert(channel, member, message, itemId, condition, alertOptions = {}) {
   try {
     const perms = channel.permissionsFor(client.user.id);
     if (!perms || !perms.has('SendMessages')) {
@@ -520,7 +625,7 @@ async function sendChannelAlert(channel, member, message, itemId, condition) {
       itemId,
       condition,
       'channel',
-      { preferAttachment: canAttach }
+      { preferAttachment: canAttach, fields: alertOptions.fields }
     );
     const options = { embeds: [embed] };
     if (files) {
@@ -535,14 +640,16 @@ async function sendChannelAlert(channel, member, message, itemId, condition) {
 }
 
 // Function to send Telegram message with optional image
-async function sendTelegramMessage(telegramUsername, message, itemId = null, condition = 'above') {
+const TELEGRAM_CAPTION_LIMIT = 1024;
+
+async function sendTelegramMessage(telegramUsername, message, itemId = null, condition = 'above', options = {}) {
   try {
     if (!telegramBot) {
       console.error('[TELEGRAM] Bot not initialized');
       return false;
     }
 
-    const chatId = await getTelegramChatId(telegramUsername);
+    const chatId = options.telegramChatId || await getTelegramChatId(telegramUsername);
 
     if (!chatId) {
       console.error(`[TELEGRAM] No chat ID found for username: ${telegramUsername}`);
@@ -550,21 +657,23 @@ async function sendTelegramMessage(telegramUsername, message, itemId = null, con
       return false;
     }
 
-    // If itemId is provided, send photo with caption
-    if (itemId) {
+    const text = appendFieldsAsText(message, options.fields);
+
+    // If itemId is provided, send photo with caption (captions are capped, long multi-item messages go as text)
+    if (itemId && text.length <= TELEGRAM_CAPTION_LIMIT) {
       const payload = await getTelegramIconPayload(itemId, condition);
       const fileOptions = payload.type === 'buffer'
         ? { filename: `telegram-icon-${itemId}-${condition}.png`, contentType: 'image/png' }
         : undefined;
 
       await telegramBot.sendPhoto(chatId, payload.value, {
-        caption: message,
+        caption: text,
         parse_mode: 'Markdown'
       }, fileOptions);
       console.log(`[TELEGRAM] ✅ Photo sent successfully to ${telegramUsername}`);
     } else {
       // Send text-only message
-      await telegramBot.sendMessage(chatId, message, {
+      await telegramBot.sendMessage(chatId, text, {
         parse_mode: 'Markdown',
         disable_web_page_preview: true
       });
@@ -584,29 +693,296 @@ async function sendTelegramMessage(telegramUsername, message, itemId = null, con
   }
 }
 
-// Function to send notification (sends BOTH DM and private thread for Discord, or Telegram message)
-async function sendNotification(username, message, channel = 'discord', itemId = null, condition = 'above') {
-  if (channel === 'telegram') {
-    return await sendTelegramMessage(username, message, itemId, condition);
-  } else {
+// ======================= Notifiers =======================
+// Each transport registers { getRecipient(alert), send(recipient, notification) -> Promise<boolean> }
+// notification: { message, itemId, condition, fields, data } where fields ([{ name, value }]) render as embed
+// fields on Discord and appended text on Telegram, and data is the structured payload for machine consumers (webhook)
+const notifiers = new Map();
+
+function registerNotifier(channel, notifier) {
+  notifiers.set(channel, notifier);
+}
+
+// Linked IDs (discord_user_id / telegram_chat_id) take precedence over usernames, which are only a legacy fallback
+function getDiscordRecipient(alert) {
+  if (!alert.discord_user_id && !alert.discord_username) return null;
+  return { username: alert.discord_username || alert.discord_user_id, discordUserId: alert.discord_user_id || null };
+}
+
+function getTelegramRecipient(alert) {
+  if (!alert.telegram_chat_id && !alert.telegram_username) return null;
+  return { username: alert.telegram_username || String(alert.telegram_chat_id), telegramChatId: alert.telegram_chat_id || null };
+}
+
+registerNotifier('discord_dm', {
+  getRecipient: getDiscordRecipient,
+  send: async (recipient, notification) => {
     const throttleDelayMs = parseInt(process.env.DISCORD_DM_DELAY_MS || '300', 10);
     if (throttleDelayMs > 0) {
       await new Promise(resolve => setTimeout(resolve, throttleDelayMs));
     }
+    return sendDirectMessage(recipient.username, notification.message, notification.itemId, notification.condition,
+      { ...notification, discordUserId: recipient.discordUserId });
+  }
+});
+
+registerNotifier('discord_thread', {
+  getRecipient: getDiscordRecipient,
+  send: (recipient, notification) =>
+    findOrCreatePrivateThread(recipient.username, notification.message, notification.itemId, notification.condition,
+      { ...notification, discordUserId: recipient.discordUserId })
+});
+
+registerNotifier('telegram', {
+  getRecipient: getTelegramRecipient,
+  send: (recipient, notification) =>
+    sendTelegramMessage(recipient.username, notification.message, notification.itemId, notification.condition,
+      { ...notification, telegramChatId: recipient.telegramChatId })
+});
+
+registerNotifier('webhook', createWebhookNotifier({ supabase, fetchOrderbook, getEthToUsdRate }));
+
+const emailNotifier = createEmailNotifier({ supabase, getTelegramIconPayload, getConditionColor });
+registerNotifier('email', emailNotifier.notifier);
+
+function getAlertRecipientLabel(alert) {
+  const primary = getAlertChannels(alert)[0];
+  return primary === 'telegram'
+    ? alert.telegram_username || alert.telegram_chat_id
+    : alert.discord_username || alert.discord_user_id;
+}
+
+// Deliver to every channel of the alert; results hold per-channel success (aliases succeed if any member does)
+async function notifyAlert(alert, message, itemId = null, condition = 'above', options = {}) {
+  const notification = { ...options, message, itemId, condition };
+  const results = {};
+
+  for (const channel of getAlertChannels(alert)) {
+    const transports = CHANNEL_ALIASES[channel] || [channel];
+    let channelSent = false;
+
+    for (const transport of transports) {
+      const notifier = notifiers.get(transport);
+      const recipient = await notifier?.getRecipient(alert);
+      if (!notifier || !recipient) {
+        console.warn(`[DELIVERY] No ${notifier ? 'recipient' : 'notifier'} for ${transport} on alert ${alert.id ?? '-'}`);
+        continue;
+      }
+
+      try {
+        const sent = await notifier.send(recipient, notification);
+        channelSent = channelSent || sent;
+      } catch (error) {
+        console.error(`[DELIVERY] ${transport} failed for alert ${alert.id ?? '-'}:`, error.message);
+      }
+    }
+    results[channel] = channelSent;
+    notificationsTotal.inc({ channel, result: channelSent ? 'success' : 'failure' });
+  }
+
+  const success = Object.values(results).some(Boolean);
+  if (Object.keys(results).length > 1) {
+    const summary = Object.entries(results).map(([channel, sent]) => `${channel} ${sent ? '✅' : '❌'}`).join(', ');
+    console.log(`[DELIVERY] Alert ${alert.id ?? '-'}: ${summary}`);
+  }
+  return { success, results };
+}
+
+// ======================= Delivery retry queue =======================
+// Failed alert notifications go to notification_queue (with a snapshot of the recipient fields, so the
+// alert's own lifecycle can continue) and are retried with exponential backoff. Every failed attempt
+// bumps notification_alerts.delivery_failures; after ALERT_MAX_DELIVERY_FAILURES in a row the alert is
+// suspended instead of deleted and the user is told on another channel. Exhausted queue rows end as 'dead'.
+const ACTIVE_ALERT_FILTER = 'status.is.null,status.not.in.(suspended,disabled)'; // 'disabled': unsubscribed email-only alert
+const ALERT_MAX_DELIVERY_FAILURES = parseInt(process.env.ALERT_MAX_DELIVERY_FAILURES || '5', 10);
+const QUEUE_MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_QUEUE_MAX_ATTEMPTS || '8', 10);
+const QUEUE_BASE_DELAY_MS = parseInt(process.env.NOTIFICATION_QUEUE_BASE_DELAY_MS || '60000', 10);
+const QUEUE_BATCH_SIZE = 50;
+
+async function recordDeliverySuccess(alertId, previousFailures) {
+  if (!alertId || !previousFailures) return;
+  const { error } = await supabase
+    .from('notification_alerts')
+    .update({ delivery_failures: 0 })
+    .eq('id', alertId);
+
+  if (error) {
+    console.error(` Failed to reset delivery failures for alert ${alertId}:`, error);
+  }
+}
+
+async function suspendAlert(alert, failures) {
+  const { error } = await supabase
+    .from('notification_alerts')
+    .update({ status: 'suspended', suspended_at: new Date().toISOString() })
+    .eq('id', alert.id);
+
+  if (error) {
+    console.error(` Failed to suspend alert ${alert.id}:`, error);
+    return;
+  }
+  console.warn(`[DELIVERY] Alert ${alert.id} suspended after ${failures} consecutive failures`);
+
+  const message = `⏸️ **Alert Suspended** ⏸️\nWe could not deliver your ${alert.alert_type?.replace('_', ' ') || 'alert'} via ${getAlertChannels(alert).join(', ')} ${failures} times in a row, so it has been paused.\nFix your notification settings on juiced.sh, then resume it with /alerts resume on Discord or from /alerts on Telegram.`;
+  const fallbackChannels = getFallbackChannels(alert);
+  let notified = false;
+  if (fallbackChannels.length > 0) {
+    ({ success: notified } = await notifyAlert({ ...alert, notification_channels: fallbackChannels }, message));
+  }
+
+  const logUsername = alert.discord_username || alert.telegram_username || 'unknown';
+  await logTriggeredAlert(logUsername, 'Alert Suspended', `Alert: **${alert.id}**\nFailures: **${failures}**\nUser notified: **${notified ? fallbackChannels.join(', ') : 'no'}**`);
+}
+
+async function recordDeliveryFailure(alert) {
+  if (!alert.id) return;
+
+  // Read the current counter so queue retries and live checks count together
+  const { data, error } = await supabase
+    .from('notification_alerts')
+    .select('delivery_failures, status')
+    .eq('id', alert.id)
+    .maybeSingle();
+
+  const counted = error ? null : countDeliveryFailure(data, ALERT_MAX_DELIVERY_FAILURES);
+  if (!counted) {
+    return;
+  }
+
+  const { failures, suspend } = counted;
+  await supabase
+    .from('notification_alerts')
+    .update({ delivery_failures: failures, last_delivery_error_at: new Date().toISOString() })
+    .eq('id', alert.id);
+
+  if (suspend) {
+    await suspendAlert(alert, failures);
+  }
+}
+
+// Queue a notification for the channels that failed; payload.channel_results keeps the per-channel outcome
+async function enqueueNotification(alert, notification, logKey = null, failedChannels = getAlertChannels(alert)) {
+  const snapshot = getRetrySnapshot(alert, failedChannels);
+
+  const { error } = await supabase
+    .from('notification_queue')
+    .insert({
+      alert_id: alert.id,
+      alert_snapshot: snapshot,
+      payload: notification,
+      idempotency_key: logKey,
+      attempts: 1,
+      status: 'pending',
+      next_attempt_at: new Date(Date.now() + getQueueBackoffMs(1, QUEUE_BASE_DELAY_MS)).toISOString(),
+      created_at: new Date().toISOString()
+    });
+
+  if (error) {
+    console.error(` Failed to enqueue notification for alert ${alert.id}:`, error);
+  }
+}
+
+// Send an alert notification; channels that fail are queued for retry (the others are not sent twice) and
+// the failure counts against the alert
+// options.idempotency ({ targetId, fingerprint }) claims the trigger in notification_log first; an already
+// claimed trigger is reported as delivered (duplicate: true) so the caller still moves the alert state forward
+async function deliverAlertNotification(alert, message, itemId = null, condition = 'above', options = {}) {
+  const { idempotency, ...notificationOptions } = options;
+  const claim = idempotency
+    ? { alertId: alert.id, alertType: alert.alert_type || 'price_alert', owner: alert, ...idempotency }
+    : null;
+  if (claim && !await claimNotification(claim)) {
+    return { success: true, results: {}, duplicate: true };
+  }
+  const logKey = claim ? getIdempotencyKey(claim) : null;
+
+  const delivery = await notifyAlert(alert, message, itemId, condition, notificationOptions);
+  const failedChannels = getFailedChannels(delivery.results);
+  alertsTriggered.inc({ type: alert.alert_type || 'price_alert' });
+  if (logKey) {
+    await finishNotificationLog(logKey, failedChannels.length === 0 ? 'sent' : 'queued', { message, results: delivery.results });
+  }
+  if (failedChannels.length === 0) {
+    await recordDeliverySuccess(alert.id, alert.delivery_failures);
+    return delivery;
+  }
 
-    // Discord: Send DM with embed if itemId provided
-    const dmSent = await sendDirectMessage(username, message, itemId, condition);
+  await enqueueNotification(
+    alert,
+    { ...notificationOptions, message, itemId, condition, channel_results: delivery.results },
+    logKey,
+    failedChannels
+  );
+  await recordDeliveryFailure(alert);
+  return delivery;
+}
+
+// Retry due queue rows
+async function processNotificationQueue() {
+  try {
+    const { data: rows, error } = await supabase
+      .from('notification_queue')
+      .select('*')
+      .eq('status', 'pending')
+      .lte('next_attempt_at', new Date().toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(QUEUE_BATCH_SIZE);
+
+    if (error) throw error;
 
-    // Send private thread with embed if itemId provided (always attempt, regardless of DM result)
-    const threadSent = await findOrCreatePrivateThread(username, message, itemId, condition);
+    for (const row of (rows || []).filter(row => isOwnedByWorker(row.alert_id ?? row.id))) {
+      const { message, itemId, condition, channel_results: channelResults, ...options } = row.payload || {};
+      const delivery = await notifyAlert(row.alert_snapshot || {}, message, itemId, condition, options);
+      const attempts = (row.attempts || 0) + 1;
+      const results = { ...(channelResults || {}), ...delivery.results };
+      const failedChannels = getFailedChannels(delivery.results);
 
-    // Return true if at least one succeeded
-    const success = dmSent || threadSent;
+      if (failedChannels.length === 0) {
+        await supabase
+          .from('notification_queue')
+          .update({ status: 'delivered', attempts, delivered_at: new Date().toISOString() })
+          .eq('id', row.id);
+        await recordDeliverySuccess(row.alert_id, 1);
+        if (row.idempotency_key) {
+          await finishNotificationLog(row.idempotency_key, 'sent', { results });
+        }
+        console.log(`[QUEUE] Delivered queued notification ${row.id} for alert ${row.alert_id} (attempt ${attempts})`);
+        continue;
+      }
 
-    return success;
+      // Channels that went through now are not retried again
+      const dead = attempts >= QUEUE_MAX_ATTEMPTS;
+      await supabase
+        .from('notification_queue')
+        .update({
+          status: dead ? 'dead' : 'pending',
+          attempts,
+          alert_snapshot: getRetrySnapshot(row.alert_snapshot || { id: row.alert_id }, failedChannels),
+          payload: { ...row.payload, channel_results: results },
+          next_attempt_at: new Date(Date.now() + getQueueBackoffMs(attempts, QUEUE_BASE_DELAY_MS)).toISOString()
+        })
+        .eq('id', row.id);
+      await recordDeliveryFailure(row.alert_snapshot || { id: row.alert_id });
+
+      if (dead) {
+        if (row.idempotency_key) {
+          await finishNotificationLog(row.idempotency_key, 'failed', { results });
+        }
+        console.error(`[QUEUE] Notification ${row.id} for alert ${row.alert_id} moved to dead-letter after ${attempts} attempts`);
+      }
+    }
+  } catch (error) {
+    console.error('Error processing notification queue:', error);
   }
 }
 
+// Function to send notification to a single user on one channel ('discord' = DM + private thread, or 'telegram')
+async function sendNotification(username, message, channel = 'discord', itemId = null, condition = 'above', options = {}) {
+  const recipient = channel === 'telegram' ? { telegram_username: username } : { discord_username: username };
+  const { success } = await notifyAlert({ notification_channel: channel, ...recipient }, message, itemId, condition, options);
+  return success;
+}
+
 // Function to log triggered alerts to admin channel
 async function logTriggeredAlert(username, alertType, details) {
   try {
@@ -623,28 +999,397 @@ async function logTriggeredAlert(username, alertType, details) {
   }
 }
 
+// ======================= Admin console =======================
+// Trigger/delivery stats for !stats and the monitoring pause switch behind !pause / !resume. Both are shared
+// by all workers: stats are read from notification_log, and the pause flag lives in bot_settings
+// (key 'monitoring_paused'), which every worker re-reads at most every PAUSE_REFRESH_MS.
+const STATS_WINDOW_MS = 24 * 60 * 60 * 1000;
+const STATS_PAGE_SIZE = 1000;
+const BOT_SETTINGS_TABLE = 'bot_settings';
+const PAUSE_REFRESH_MS = 15000;
+let monitoringPaused = false;
+let pauseCheckedAt = 0;
+
+// Returns the shared pause flag; on read errors the last known value is kept
+async function refreshMonitoringPaused() {
+  if (Date.now() - pauseCheckedAt < PAUSE_REFRESH_MS) {
+    return monitoringPaused;
+  }
+  pauseCheckedAt = Date.now();
+
+  const { data, error } = await supabase
+    .from(BOT_SETTINGS_TABLE)
+    .select('value')
+    .eq('key', 'monitoring_paused')
+    .maybeSingle();
+
+  if (error) {
+    console.error('[ADMIN] Failed to read monitoring pause flag:', error.message);
+    return monitoringPaused;
+  }
+  monitoringPaused = data?.value === true;
+  return monitoringPaused;
+}
+
+async function setMonitoringPaused(paused) {
+  const { error } = await supabase
+    .from(BOT_SETTINGS_TABLE)
+    .upsert({ key: 'monitoring_paused', value: paused, updated_at: new Date().toISOString() });
+
+  if (error) {
+    throw new Error(`Failed to store monitoring pause flag: ${error.message}`);
+  }
+  monitoringPaused = paused;
+  pauseCheckedAt = Date.now();
+}
+
+// Triggers of the last STATS_WINDOW_MS across all workers (claims still pending are not counted yet)
+async function getDeliveryStats() {
+  const windowStart = Date.now() - STATS_WINDOW_MS;
+  const byType = {};
+  const byChannel = {};
+  let triggers = 0;
+  let failed = 0;
+
+  for (let from = 0; ; from += STATS_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('notification_log')
+      .select('alert_type, status, channel_results')
+      .gte('created_at', new Date(windowStart).toISOString())
+      .neq('status', 'pending')
+      .order('created_at', { ascending: true })
+      .range(from, from + STATS_PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to load notification log: ${error.message}`);
+    }
+
+    for (const row of (data || [])) {
+      const alertType = row.alert_type || 'price_alert';
+      triggers++;
+      byType[alertType] = (byType[alertType] || 0) + 1;
+      if (row.status !== 'sent') failed++;
+      Object.entries(row.channel_results || {}).forEach(([channel, sent]) => {
+        byChannel[channel] = byChannel[channel] || { sent: 0, failed: 0 };
+        byChannel[channel][sent ? 'sent' : 'failed']++;
+      });
+    }
+
+    if (!data || data.length < STATS_PAGE_SIZE) break;
+  }
+
+  return { triggers, failed, byType, byChannel, windowStart };
+}
+
+if (IS_PRIMARY_WORKER) {
+  initAdminCommands(client, supabase, {
+    channelId: ADMIN_LOG_CHANNEL_ID,
+    getDeliveryStats,
+    setMonitoringPaused,
+    isMonitoringPaused: () => monitoringPaused,
+    notifyAlert
+  });
+}
+
+// Persistent price alert suppression: cooldown between triggers and a re-arm (hysteresis) band
+const DEFAULT_ALERT_COOLDOWN_MINUTES = parseFloat(process.env.ALERT_COOLDOWN_MINUTES || '60');
+const DEFAULT_ALERT_REARM_PERCENT = parseFloat(process.env.ALERT_REARM_PERCENT || '5');
+
+function getRearmPercent(selectedItem, alert) {
+  const value = parseFloat(selectedItem.rearm_percent ?? alert.rearm_percent ?? DEFAULT_ALERT_REARM_PERCENT);
+  return Number.isNaN(value) || value < 0 ? 0 : value;
+}
+
+// True once price is back on the untriggered side of the target by at least rearmPercent
+function isBeyondRearmBand(priceCondition, currentPrice, target, rearmPercent) {
+  if (priceCondition === 'above') {
+    return currentPrice < target * (1 - rearmPercent / 100);
+  }
+  return currentPrice > target * (1 + rearmPercent / 100);
+}
+
+function isInCooldown(selectedItem, alert) {
+  const cooldownMinutes = parseFloat(selectedItem.cooldown_minutes ?? alert.cooldown_minutes ?? DEFAULT_ALERT_COOLDOWN_MINUTES);
+  if (!selectedItem.last_triggered_at || Number.isNaN(cooldownMinutes) || cooldownMinutes <= 0) {
+    return false;
+  }
+  const lastTriggered = new Date(selectedItem.last_triggered_at).getTime();
+  return Date.now() - lastTriggered < cooldownMinutes * 60 * 1000;
+}
+
+// Merge per-item state changes into the alert's item_ids
+async function saveItemUpdates(alert, itemUpdates) {
+  const updatedItems = (alert.item_ids || []).map(existingItem => {
+    const patch = itemUpdates.get(String(existingItem.id));
+    return patch ? { ...existingItem, ...patch } : existingItem;
+  });
+
+  const { error } = await supabase
+    .from('notification_alerts')
+    .update({ item_ids: updatedItems })
+    .eq('id', alert.id);
+
+  if (error) {
+    console.error(` Failed to update item state for alert ${alert.id}:`, error);
+  }
+}
+
+// ======================= Floor price history =======================
+// Snapshots of /api/marketplace/item/floor/all taken each cycle, used by percentage-change alerts
+const FLOOR_HISTORY_TABLE = 'floor_price_history';
+const FLOOR_HISTORY_RETENTION_HOURS = parseFloat(process.env.FLOOR_HISTORY_RETENTION_HOURS || '168'); // 7 days
+const DEFAULT_CHANGE_WINDOW_HOURS = 24;
+
+async function recordFloorSnapshots(entities) {
+  const recordedAt = new Date().toISOString();
+  const rows = (entities || [])
+    .filter(item => item.GAME_ITEM_ID_CID && item.ETH_MINT_PRICE_CID)
+    .map(item => ({
+      item_id: String(item.GAME_ITEM_ID_CID),
+      floor_price_eth: parseFloat(item.ETH_MINT_PRICE_CID) / 1e18,
+      recorded_at: recordedAt
+    }));
+
+  if (rows.length === 0) return;
+
+  const { error } = await supabase.from(FLOOR_HISTORY_TABLE).insert(rows);
+  if (error) {
+    console.error(' Failed to record floor snapshots:', error);
+    return;
+  }
+
+  const cutoff = new Date(Date.now() - FLOOR_HISTORY_RETENTION_HOURS * 60 * 60 * 1000).toISOString();
+  const { error: pruneError } = await supabase
+    .from(FLOOR_HISTORY_TABLE)
+    .delete()
+    .lt('recorded_at', cutoff);
+
+  if (pruneError) {
+    console.error(' Failed to prune floor history:', pruneError);
+  }
+}
+
+const FLOOR_HISTORY_PAGE_SIZE = 1000; // PostgREST caps responses at 1000 rows by default
+
+// Returns Map(itemId -> [{ priceETH, recordedAt }]) covering the last windowHours, oldest first
+// Paged by range so long windows across many items are never silently truncated
+async function fetchFloorHistory(itemIds, windowHours) {
+  const history = new Map();
+  const since = new Date(Date.now() - windowHours * 60 * 60 * 1000).toISOString();
+
+  for (let from = 0; ; from += FLOOR_HISTORY_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from(FLOOR_HISTORY_TABLE)
+      .select('item_id, floor_price_eth, recorded_at')
+      .in('item_id', itemIds)
+      .gte('recorded_at', since)
+      .order('recorded_at', { ascending: true })
+      .order('item_id', { ascending: true })
+      .range(from, from + FLOOR_HISTORY_PAGE_SIZE - 1);
+
+    if (error) {
+      console.error(' Failed to fetch floor history:', error);
+      return new Map();
+    }
+
+    for (const row of (data || [])) {
+      const key = String(row.item_id);
+      if (!history.has(key)) {
+        history.set(key, []);
+      }
+      history.get(key).push({ priceETH: parseFloat(row.floor_price_eth), recordedAt: new Date(row.recorded_at).getTime() });
+    }
+
+    if (!data || data.length < FLOOR_HISTORY_PAGE_SIZE) break;
+  }
+  return history;
+}
+
+function getChangeWindowHours(selectedItem, alert) {
+  const hours = parseFloat(selectedItem.change_window_hours ?? alert.change_window_hours ?? DEFAULT_CHANGE_WINDOW_HOURS);
+  return Number.isNaN(hours) || hours <= 0 ? DEFAULT_CHANGE_WINDOW_HOURS : hours;
+}
+
+// Floor moved by at least change_percent from the window's high (down) or low (up)
+// change_direction: 'up' | 'down' | 'both' (default)
+function evaluateFloorChange(history, currentPriceETH, selectedItem, alert) {
+  const thresholdPercent = parseFloat(selectedItem.change_percent ?? alert.change_percent);
+  if (!history || history.length === 0 || Number.isNaN(thresholdPercent) || thresholdPercent <= 0) {
+    return null;
+  }
+
+  const windowHours = getChangeWindowHours(selectedItem, alert);
+  const since = Date.now() - windowHours * 60 * 60 * 1000;
+  const prices = history.filter(point => point.recordedAt >= since && point.priceETH > 0).map(point => point.priceETH);
+  if (prices.length === 0) {
+    return null;
+  }
+
+  const direction = selectedItem.change_direction || alert.change_direction || 'both';
+  const low = Math.min(...prices);
+  const high = Math.max(...prices);
+  const risePercent = (currentPriceETH - low) / low * 100;
+  const dropPercent = (currentPriceETH - high) / high * 100;
+
+  const candidates = [];
+  if (direction !== 'down' && risePercent >= thresholdPercent) {
+    candidates.push({ changePercent: risePercent, baselinePriceETH: low });
+  }
+  if (direction !== 'up' && -dropPercent >= thresholdPercent) {
+    candidates.push({ changePercent: dropPercent, baselinePriceETH: high });
+  }
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  candidates.sort((a, b) => Math.abs(b.changePercent) - Math.abs(a.changePercent));
+  return { ...candidates[0], windowHours };
+}
+
+// ======================= Orderbook (bid/spread) conditions =======================
+// bid_above:    best bid >= target_price_eth / target_price_usd
+// spread_below: (best ask - best bid) / best ask < spread_percent
+// bid_depth:    units bid at or above depth_price_eth (falls back to target_price_eth) >= min_amount
+const ORDERBOOK_CONDITIONS = new Set(['bid_above', 'spread_below', 'bid_depth']);
+
+function evaluateOrderbookCondition(priceCondition, orderbook, selectedItem, alert, ethToUsdRate) {
+  const bestBid = orderbook.bids[0];
+  const bestAsk = orderbook.asks[0];
+  const fmt = (ethValue) => Number(ethValue).toFixed(6).replace(/\.?0+$/, '');
+  const usd = (ethValue) => ethToUsdRate > 0 ? ` ($${(ethValue * ethToUsdRate).toFixed(2)})` : '';
+
+  if (priceCondition === 'bid_above') {
+    if (!bestBid) return null;
+    const ethTarget = parseFloat(selectedItem.target_price_eth ?? alert.target_price_eth);
+    const usdTarget = parseFloat(selectedItem.target_price_usd ?? alert.target_price_usd);
+    const ethTriggered = ethTarget > 0 && bestBid.price >= ethTarget;
+    const usdTriggered = usdTarget > 0 && ethToUsdRate > 0 && bestBid.price * ethToUsdRate >= usdTarget;
+    if (!ethTriggered && !usdTriggered) return null;
+
+    const target = ethTriggered ? `Ξ${fmt(ethTarget)}` : `$${usdTarget.toFixed(2)}`;
+    return {
+      label: `best bid reached ${target}`,
+      lines: [`✅ Best bid: Ξ${fmt(bestBid.price)}${usd(bestBid.price)} x${bestBid.amount}`],
+      iconCondition: 'above'
+    };
+  }
+
+  if (priceCondition === 'spread_below') {
+    const spreadTarget = parseFloat(selectedItem.spread_percent ?? alert.spread_percent);
+    if (!bestBid || !bestAsk || !(spreadTarget > 0)) return null;
+    const spreadPercent = (bestAsk.price - bestBid.price) / bestAsk.price * 100;
+    if (spreadPercent >= spreadTarget) return null;
+
+    return {
+      label: `spread below ${spreadTarget}%`,
+      lines: [
+        `✅ Spread: ${spreadPercent.toFixed(2)}%`,
+        `• Best bid: Ξ${fmt(bestBid.price)}${usd(bestBid.price)}`,
+        `• Best ask: Ξ${fmt(bestAsk.price)}${usd(bestAsk.price)}`
+      ],
+      iconCondition: 'below'
+    };
+  }
+
+  if (priceCondition === 'bid_depth') {
+    const depthPrice = parseFloat(selectedItem.depth_price_eth ?? alert.depth_price_eth ?? selectedItem.target_price_eth ?? alert.target_price_eth);
+    const minAmount = parseFloat(selectedItem.min_amount ?? alert.min_amount);
+    if (!(depthPrice > 0) || !(minAmount > 0)) return null;
+    const depth = orderbook.bids
+      .filter(bid => bid.price >= depthPrice)
+      .reduce((sum, bid) => sum + bid.amount, 0);
+    if (depth < minAmount) return null;
+
+    return {
+      label: `bid depth reached ${minAmount} units`,
+      lines: [`✅ ${depth} units bid at or above Ξ${fmt(depthPrice)}${usd(depthPrice)}`],
+      iconCondition: 'above'
+    };
+  }
+
+  return null;
+}
+
+// Counterpart of isBeyondRearmBand for orderbook conditions: true once the condition is off by at least
+// rearmPercent (best bid / bid depth below the target, spread above it, or that side of the book empty)
+function isOrderbookConditionRearmed(priceCondition, orderbook, selectedItem, alert, ethToUsdRate, rearmPercent) {
+  const bestBid = orderbook.bids[0];
+  const bestAsk = orderbook.asks[0];
+
+  if (priceCondition === 'bid_above') {
+    const ethTarget = parseFloat(selectedItem.target_price_eth ?? alert.target_price_eth);
+    const usdTarget = parseFloat(selectedItem.target_price_usd ?? alert.target_price_usd);
+    const ethRearmed = !(ethTarget > 0) || !bestBid || isBeyondRearmBand('above', bestBid.price, ethTarget, rearmPercent);
+    const usdRearmed = !(usdTarget > 0) || !bestBid ||
+      (ethToUsdRate > 0 && isBeyondRearmBand('above', bestBid.price * ethToUsdRate, usdTarget, rearmPercent));
+    return ethRearmed && usdRearmed;
+  }
+
+  if (priceCondition === 'spread_below') {
+    const spreadTarget = parseFloat(selectedItem.spread_percent ?? alert.spread_percent);
+    if (!bestBid || !bestAsk || !(spreadTarget > 0)) return true;
+    const spreadPercent = (bestAsk.price - bestBid.price) / bestAsk.price * 100;
+    return isBeyondRearmBand('below', spreadPercent, spreadTarget, rearmPercent);
+  }
+
+  if (priceCondition === 'bid_depth') {
+    const depthPrice = parseFloat(selectedItem.depth_price_eth ?? alert.depth_price_eth ?? selectedItem.target_price_eth ?? alert.target_price_eth);
+    const minAmount = parseFloat(selectedItem.min_amount ?? alert.min_amount);
+    if (!(depthPrice > 0) || !(minAmount > 0)) return true;
+    const depth = orderbook.bids
+      .filter(bid => bid.price >= depthPrice)
+      .reduce((sum, bid) => sum + bid.amount, 0);
+    return isBeyondRearmBand('above', depth, minAmount, rearmPercent);
+  }
+
+  return true;
+}
+
 // Function to check and send price alerts (multi-item support)
-async function checkPriceAlerts() {
+// options.itemIds restricts evaluation to those items (used by real-time mode)
+async function checkPriceAlerts(options = {}) {
+  const onlyItemIds = options.itemIds ? new Set(options.itemIds.map(String)) : null;
   try {
     // Get all price alerts
-    const { data: alerts, error } = await supabase
+    const { data: allAlerts, error } = await supabase
       .from('notification_alerts')
       .select('*')
-      .eq('alert_type', 'price_alert');
+      .eq('alert_type', 'price_alert')
+      .or(ACTIVE_ALERT_FILTER);
     
     if (error) throw error;
+    const alerts = ownRows(allAlerts);
+    alertsEvaluated.inc({ check: 'price' }, alerts.length);
     
     // Get current item floor prices and ETH to USD rate
-    const [itemsFloorData, ethToUsdRate] = await Promise.all([
-      fetch('https://gigaverse.io/api/marketplace/item/floor/all').then(res => res.json()),
+    // Real-time re-checks were triggered by an on-chain change, so they must not read a cached floor/orderbook
+    const [floorEntities, ethToUsdRate] = await Promise.all([
+      marketplace.getFloorEntities({ fresh: Boolean(onlyItemIds) }),
       getEthToUsdRate()
     ]);
+
+    // Keep the floor time series for percentage-change alerts (full cycles only, real-time re-checks would flood it).
+    // The series is shared, so only the primary worker writes and prunes it.
+    if (!onlyItemIds && IS_PRIMARY_WORKER) {
+      await recordFloorSnapshots(floorEntities);
+    }
+    const changeItems = alerts.flatMap(alert => (alert.item_ids || [])
+      .filter(selectedItem => (selectedItem.price_condition || alert.price_condition) === 'change')
+      .map(selectedItem => ({ id: String(selectedItem.id), windowHours: getChangeWindowHours(selectedItem, alert) })));
+    const floorHistory = changeItems.length > 0
+      ? await fetchFloorHistory([...new Set(changeItems.map(i => i.id))], Math.max(...changeItems.map(i => i.windowHours)))
+      : new Map();
+
+    // Without a fresh ETH/USD price USD targets are skipped rather than compared against $0
+    const usdPriceAvailable = ethToUsdRate > 0;
+    let skippedUsdTargets = 0;
+
     const orderbookCache = new Map();
     const getOrderbookForItem = async (itemId) => {
       if (orderbookCache.has(itemId)) {
         return orderbookCache.get(itemId);
       }
-      const book = await fetchOrderbook(itemId);
+      const book = await fetchOrderbook(itemId, { fresh: Boolean(onlyItemIds) });
       orderbookCache.set(itemId, book);
       return book;
     };
@@ -658,29 +1403,84 @@ async function checkPriceAlerts() {
       const selectedItems = alert.item_ids || [];
       const triggeredItems = [];
       const persistentAlert = alert.remove_after_trigger === false;
+      const itemUpdates = new Map(); // item id -> fields to merge into item_ids (persistent alerts only)
 
       for (const selectedItem of selectedItems) {
-        // Remove the skip logic - persistent alerts should trigger every time the condition is met
-        // The triggered_once flag is kept for display/tracking purposes only
+        if (onlyItemIds && !onlyItemIds.has(String(selectedItem.id))) {
+          continue;
+        }
 
-        const floorItem = itemsFloorData.entities?.find(item =>
+        const floorItem = floorEntities.find(item =>
           item.GAME_ITEM_ID_CID === parseInt(selectedItem.id)
         );
 
-        if (!floorItem || !floorItem.ETH_MINT_PRICE_CID) {
-          continue;
-        }
-
-        const floorPriceETH = toNumber(floorItem.ETH_MINT_PRICE_CID) / 1e18;
-        const currentPriceUSD = floorPriceETH * ethToUsdRate;
+        const floorPriceETH = floorItem?.ETH_MINT_PRICE_CID ? toNumber(floorItem.ETH_MINT_PRICE_CID) / 1e18 : null;
+        const currentPriceUSD = floorPriceETH !== null && usdPriceAvailable ? floorPriceETH * ethToUsdRate : null;
 
         const priceCondition = selectedItem.price_condition || alert.price_condition || 'below';
 
-        const usdTargetSource = selectedItem.target_price_usd ?? alert.target_price_usd;
-        const ethTargetSource = selectedItem.target_price_eth ?? alert.target_price_eth;
-
-        const usdTarget = usdTargetSource !== null && usdTargetSource !== undefined ? parseFloat(usdTargetSource) : NaN;
-        const ethTarget = ethTargetSource !== null && ethTargetSource !== undefined ? parseFloat(ethTargetSource) : NaN;
+        // Bid-side and spread alerts are evaluated against the full orderbook, before the floor lookup:
+        // an item with bids but no asks has no floor
+        if (ORDERBOOK_CONDITIONS.has(priceCondition)) {
+          // Persistent alerts disarm after triggering, like floor targets, and re-arm once the condition is clearly off
+          if (persistentAlert && selectedItem.armed === false) {
+            const orderbook = await getOrderbookForItem(selectedItem.id);
+            if (isOrderbookConditionRearmed(priceCondition, orderbook, selectedItem, alert, ethToUsdRate, getRearmPercent(selectedItem, alert))) {
+              itemUpdates.set(String(selectedItem.id), { armed: true });
+              console.log(`[PRICE ALERT] Re-armed ${selectedItem.name} (${priceCondition}) for alert ${alert.id}`);
+            }
+            continue;
+          }
+          if (persistentAlert && isInCooldown(selectedItem, alert)) {
+            continue;
+          }
+          const orderbook = await getOrderbookForItem(selectedItem.id);
+          const summary = evaluateOrderbookCondition(priceCondition, orderbook, selectedItem, alert, ethToUsdRate);
+          if (!summary) {
+            continue;
+          }
+          triggeredItems.push({
+            name: selectedItem.name,
+            priceCondition,
+            usdTarget: null,
+            ethTarget: null,
+            currentPriceUSD,
+            currentPriceETH: floorPriceETH,
+            summary,
+            originalItem: selectedItem
+          });
+          continue;
+        }
+
+        // Everything below compares against the floor
+        if (floorPriceETH === null) {
+          continue;
+        }
+
+        // Percentage-change alerts are evaluated against the rolling floor history instead of a fixed target
+        if (priceCondition === 'change') {
+          const change = evaluateFloorChange(floorHistory.get(String(selectedItem.id)), floorPriceETH, selectedItem, alert);
+          if (!change || (persistentAlert && isInCooldown(selectedItem, alert))) {
+            continue;
+          }
+          triggeredItems.push({
+            name: selectedItem.name,
+            priceCondition,
+            usdTarget: null,
+            ethTarget: null,
+            currentPriceUSD,
+            currentPriceETH: floorPriceETH,
+            ...change,
+            originalItem: selectedItem
+          });
+          continue;
+        }
+
+        const usdTargetSource = selectedItem.target_price_usd ?? alert.target_price_usd;
+        const ethTargetSource = selectedItem.target_price_eth ?? alert.target_price_eth;
+
+        const usdTarget = usdTargetSource !== null && usdTargetSource !== undefined ? parseFloat(usdTargetSource) : NaN;
+        const ethTarget = ethTargetSource !== null && ethTargetSource !== undefined ? parseFloat(ethTargetSource) : NaN;
 
         const usdValid = !Number.isNaN(usdTarget) && usdTarget > 0;
         const ethValid = !Number.isNaN(ethTarget) && ethTarget > 0;
@@ -688,8 +1488,14 @@ async function checkPriceAlerts() {
         if (!usdValid && !ethValid) {
           continue;
         }
+        if (usdValid && !usdPriceAvailable) {
+          skippedUsdTargets++;
+          if (!ethValid) {
+            continue;
+          }
+        }
 
-        const usdTriggered = usdValid && (
+        const usdTriggered = usdValid && usdPriceAvailable && (
           (priceCondition === 'above' && currentPriceUSD >= usdTarget) ||
           (priceCondition === 'below' && currentPriceUSD <= usdTarget)
         );
@@ -699,10 +1505,26 @@ async function checkPriceAlerts() {
           (priceCondition === 'below' && floorPriceETH <= ethTarget)
         );
 
+        // Persistent alerts disarm after triggering and re-arm only once price crosses back past the band
+        if (persistentAlert && selectedItem.armed === false) {
+          const rearmPercent = getRearmPercent(selectedItem, alert);
+          const usdRearmed = !usdValid || (usdPriceAvailable && isBeyondRearmBand(priceCondition, currentPriceUSD, usdTarget, rearmPercent));
+          const ethRearmed = !ethValid || isBeyondRearmBand(priceCondition, floorPriceETH, ethTarget, rearmPercent);
+          if (usdRearmed && ethRearmed) {
+            itemUpdates.set(String(selectedItem.id), { armed: true });
+            console.log(`[PRICE ALERT] Re-armed ${selectedItem.name} for alert ${alert.id}`);
+          }
+          continue;
+        }
+
         if (!usdTriggered && !ethTriggered) {
           continue;
         }
 
+        if (persistentAlert && isInCooldown(selectedItem, alert)) {
+          continue;
+        }
+
         // NEW: Check minimum amount condition if specified
         const minAmount = selectedItem.min_amount || alert.min_amount;
         if (minAmount && minAmount > 0) {
@@ -714,13 +1536,13 @@ async function checkPriceAlerts() {
           if (priceCondition === 'below') {
             // Count items at or below the trigger price
             const targetPriceETH = ethValid ? ethTarget : (usdValid ? usdTarget / ethToUsdRate : 0);
-            itemCountAtTrigger = orderbook
+            itemCountAtTrigger = orderbook.asks
               .filter(ask => ask.price <= targetPriceETH)
               .reduce((sum, ask) => sum + ask.amount, 0);
           } else if (priceCondition === 'above') {
             // Count items at or above the trigger price
             const targetPriceETH = ethValid ? ethTarget : (usdValid ? usdTarget / ethToUsdRate : 0);
-            itemCountAtTrigger = orderbook
+            itemCountAtTrigger = orderbook.asks
               .filter(ask => ask.price >= targetPriceETH)
               .reduce((sum, ask) => sum + ask.amount, 0);
           }
@@ -736,7 +1558,7 @@ async function checkPriceAlerts() {
         triggeredItems.push({
           name: selectedItem.name,
           priceCondition,
-          usdTarget: usdValid ? usdTarget : null,
+          usdTarget: usdValid && usdPriceAvailable ? usdTarget : null,
           ethTarget: ethValid ? ethTarget : null,
           currentPriceUSD,
           currentPriceETH: floorPriceETH,
@@ -747,12 +1569,12 @@ async function checkPriceAlerts() {
       }
 
       if (triggeredItems.length === 0) {
+        if (itemUpdates.size > 0) {
+          await saveItemUpdates(alert, itemUpdates);
+        }
         continue;
       }
 
-      const item = triggeredItems[0];
-      const conditionLabel = item.priceCondition === 'above' ? 'Above' : 'Below';
-
       // Helper function to format ETH with appropriate decimals and remove trailing zeros
       const formatETH = (ethValue) => {
         let formatted;
@@ -765,43 +1587,98 @@ async function checkPriceAlerts() {
         return formatted.replace(/\.?0+$/, '');
       };
 
-      const messageLines = [];
-      if (item.usdTarget) {
-        const prefix = item.usdTriggered ? '✅' : '•';
-        messageLines.push(`${prefix} USD target: $${item.usdTarget.toFixed(2)} (current $${item.currentPriceUSD.toFixed(2)})`);
-      }
-      if (item.ethTarget) {
-        const prefix = item.ethTriggered ? '✅' : '•';
-        messageLines.push(`${prefix} ETH target: Ξ${formatETH(item.ethTarget)} (current Ξ${formatETH(item.currentPriceETH)})`);
+      const getConditionLabel = (item) => {
+        if (item.summary) return item.summary.label;
+        if (item.priceCondition === 'change') return `${item.changePercent >= 0 ? '+' : ''}${item.changePercent.toFixed(1)}% in ${item.windowHours}h`;
+        return item.priceCondition === 'above' ? 'Above' : 'Below';
+      };
+      const buildHeadline = (item) => {
+        if (item.summary) return `**${item.name}** ${item.summary.label}`;
+        return item.priceCondition === 'change'
+          ? `**${item.name}** moved ${getConditionLabel(item)}`
+          : `**${item.name}** hit ${getConditionLabel(item)} target`;
+      };
+      const buildTargetLines = (item) => {
+        const lines = [];
+        if (item.summary) {
+          lines.push(...item.summary.lines);
+        }
+        if (item.priceCondition === 'change') {
+          lines.push(`✅ Floor: Ξ${formatETH(item.currentPriceETH)} (from Ξ${formatETH(item.baselinePriceETH)})`);
+          if (item.currentPriceUSD > 0) {
+            lines.push(`• USD: $${item.currentPriceUSD.toFixed(2)}`);
+          }
+        }
+        if (item.usdTarget) {
+          const prefix = item.usdTriggered ? '✅' : '•';
+          lines.push(`${prefix} USD target: $${item.usdTarget.toFixed(2)} (current $${item.currentPriceUSD.toFixed(2)})`);
+        }
+        if (item.ethTarget) {
+          const prefix = item.ethTriggered ? '✅' : '•';
+          lines.push(`${prefix} ETH target: Ξ${formatETH(item.ethTarget)} (current Ξ${formatETH(item.currentPriceETH)})`);
+        }
+        return lines.join('\n');
+      };
+
+      // One consolidated notification: single item keeps the classic layout, several items get one field each
+      const firstItem = triggeredItems[0];
+      let message;
+      let fields;
+      if (triggeredItems.length === 1) {
+        message = `🚨 **Price Alert** 🚨\n${buildHeadline(firstItem)}\n${buildTargetLines(firstItem)}`;
+      } else {
+        message = `🚨 **Price Alert** 🚨\n**${triggeredItems.length} items** hit their targets`;
+        fields = triggeredItems.map(item => ({
+          name: `${item.name} - ${getConditionLabel(item)}`,
+          value: buildTargetLines(item)
+        }));
       }
-      const messageBody = messageLines.join('\n');
-      const message = `🚨 **Price Alert** 🚨\n**${item.name}** hit ${conditionLabel} target\n${messageBody}`;
 
       // Route notification based on channel
-      const username = alert.notification_channel === 'telegram' ? alert.telegram_username : alert.discord_username;
-      const channel = alert.notification_channel || 'discord';
-      const itemId = item.originalItem.id;
-      const condition = item.priceCondition; // 'above' or 'below'
-
-      const sent = await sendNotification(username, message, channel, itemId, condition);
-      if (!sent) {
-        console.error(` Failed to send notification to ${username} (channel: ${channel}) - removing invalid alert`);
-        await supabase
-          .from('notification_alerts')
-          .delete()
-          .eq('id', alert.id);
-        continue;
+      const username = getAlertRecipientLabel(alert);
+      const channel = getAlertChannels(alert).join('+');
+      const itemId = firstItem.originalItem.id;
+      // 'above' or 'below' (icon/colour follow the first hit; change alerts map to their direction)
+      let condition = firstItem.priceCondition;
+      if (condition === 'change') {
+        condition = firstItem.changePercent >= 0 ? 'above' : 'below';
+      } else if (firstItem.summary) {
+        condition = firstItem.summary.iconCondition;
       }
-      console.log(`[PRICE ALERT] Sent to ${username}`);
 
+      const data = {
+        items: triggeredItems.map(item => ({
+          item_id: String(item.originalItem.id),
+          name: item.name,
+          condition: item.priceCondition,
+          price_eth: item.currentPriceETH,
+          price_usd: item.currentPriceUSD,
+          target_eth: item.ethTarget,
+          target_usd: item.usdTarget
+        }))
+      };
+      const idempotency = {
+        targetId: triggeredItems.map(item => item.originalItem.id).join(','),
+        fingerprint: getFingerprint(triggeredItems.map(item => [item.originalItem.id, item.originalItem.last_triggered_at || null]))
+      };
+      const { success: sent } = await deliverAlertNotification(alert, message, itemId, condition, { fields, data, idempotency });
+      if (sent) {
+        console.log(`[PRICE ALERT] Sent to ${username} (${triggeredItems.length} item${triggeredItems.length > 1 ? 's' : ''})`);
+      } else {
+        console.error(` Failed to send notification to ${username} (channel: ${channel}) - queued for retry`);
+      }
 
       const logDetails = [
-        `Item: **${item.name}**`,
-        `Condition: **${conditionLabel}**`,
-        item.usdTarget ? `USD target: **$${item.usdTarget.toFixed(2)}** (current $${item.currentPriceUSD.toFixed(2)})` : null,
-        item.ethTarget ? `ETH target: **Ξ${formatETH(item.ethTarget)}** (current Ξ${formatETH(item.currentPriceETH)})` : null,
+        ...triggeredItems.map(item => [
+          `Item: **${item.name}**`,
+          `Condition: **${getConditionLabel(item)}**`,
+          item.usdTarget ? `USD target: **$${item.usdTarget.toFixed(2)}** (current $${item.currentPriceUSD.toFixed(2)})` : null,
+          item.ethTarget ? `ETH target: **Ξ${formatETH(item.ethTarget)}** (current Ξ${formatETH(item.currentPriceETH)})` : null,
+          item.priceCondition === 'change' ? `Floor: **Ξ${formatETH(item.currentPriceETH)}** (from Ξ${formatETH(item.baselinePriceETH)})` : null,
+          ...(item.summary ? item.summary.lines : [])
+        ].filter(Boolean).join('\n')),
         `Persistence: **${persistentAlert ? 'Keeps until deleted' : 'Auto-remove'}**`
-      ].filter(Boolean).join('\n');
+      ].join('\n');
 
       const logUsername = username || alert.discord_username || alert.telegram_username || 'unknown';
       await logTriggeredAlert(
@@ -812,21 +1689,26 @@ async function checkPriceAlerts() {
 
       if (persistentAlert) {
         const nowIso = new Date().toISOString();
-        const updatedItems = (alert.item_ids || []).map(existingItem => {
-          if (String(existingItem.id) === String(item.originalItem.id)) {
-            return {
-              ...existingItem,
-              triggered_once: true,
-              last_triggered_at: nowIso
-            };
-          }
-          return existingItem;
-        });
-
-        await supabase
+        for (const item of triggeredItems) {
+          itemUpdates.set(String(item.originalItem.id), {
+            triggered_once: true,
+            last_triggered_at: nowIso,
+            armed: false
+          });
+        }
+        await saveItemUpdates(alert, itemUpdates);
+      } else if (onlyItemIds && selectedItems.some(item => !onlyItemIds.has(String(item.id)))) {
+        // Real-time re-checks only evaluate the affected items: drop the triggered ones and keep the rest
+        // of the alert for the items that were never checked
+        const triggeredIds = new Set(triggeredItems.map(item => String(item.originalItem.id)));
+        const { error: updateError } = await supabase
           .from('notification_alerts')
-          .update({ item_ids: updatedItems })
+          .update({ item_ids: selectedItems.filter(item => !triggeredIds.has(String(item.id))) })
           .eq('id', alert.id);
+
+        if (updateError) {
+          console.error(` Failed to remove triggered items from alert ${alert.id}:`, updateError);
+        }
       } else {
         await supabase
           .from('notification_alerts')
@@ -834,57 +1716,95 @@ async function checkPriceAlerts() {
           .eq('id', alert.id);
       }
     }
+
+    if (skippedUsdTargets > 0) {
+      console.warn(`[PRICE ALERT] No fresh ETH/USD price - skipped ${skippedUsdTargets} USD target${skippedUsdTargets > 1 ? 's' : ''}`);
+    }
   } catch (error) {
     console.error('Error checking price alerts:', error);
   }
 }
 
+// Listing fields used by the listing-sale check
+const LISTING_FIELDS = `
+  id
+  amount
+  amountRemaining
+  pricePerItemETH
+  status
+  isActive
+  owner { id }
+  transfers(first: 1000, orderBy: blockNumber, orderDirection: asc) {
+    id
+    amount
+    totalValueETH
+    blockNumber
+    logIndex
+    transferredTo { id }
+  }
+`;
+const LISTING_BATCH_SIZE = 100; // ids per id_in filter
+const LISTING_PAGE_SIZE = 100;
+
+// Fetch many listings by id in batched id_in queries, paginated by id cursor (listing id -> listing)
+// Throws on subgraph errors so callers never mistake a failed batch for deleted listings
+async function fetchListingsByIds(listingIds) {
+  const query = `
+    query GetListings($ids: [String!]!, $after: String!, $first: Int!) {
+      listings(where: { id_in: $ids, id_gt: $after }, orderBy: id, orderDirection: asc, first: $first) {
+        ${LISTING_FIELDS}
+      }
+    }
+  `;
+  const uniqueIds = [...new Set(listingIds.map(String))];
+  const listingsById = new Map();
+
+  for (let i = 0; i < uniqueIds.length; i += LISTING_BATCH_SIZE) {
+    const ids = uniqueIds.slice(i, i + LISTING_BATCH_SIZE);
+    let after = '';
+    while (true) {
+      const data = await querySubgraph(query, { ids, after, first: LISTING_PAGE_SIZE });
+      const page = data.listings || [];
+      page.forEach(listing => listingsById.set(listing.id, listing));
+      if (page.length < LISTING_PAGE_SIZE) break;
+      after = page[page.length - 1].id;
+    }
+  }
+  return listingsById;
+}
+
 // Function to check and send listing sold notifications (multi-listing support)
 async function checkListingSoldNotifications() {
   try {
     // Get all listing alerts
-    const { data: alerts, error } = await supabase
+    const { data: allAlerts, error } = await supabase
       .from('notification_alerts')
       .select('*')
-      .eq('alert_type', 'listing_alert');
+      .eq('alert_type', 'listing_alert')
+      .or(ACTIVE_ALERT_FILTER);
     
     if (error) throw error;
+    const alerts = ownRows(allAlerts);
+    alertsEvaluated.inc({ check: 'listing' }, alerts.length);
     
     // Get ETH to USD rate with fallback
     const ethToUsdRate = await getEthToUsdRate();
+
+    // One batched lookup for every tracked listing across all alerts
+    const trackedIds = alerts.flatMap(alert => (alert.listing_ids || []).map(listing => listing.id)).filter(Boolean);
+    if (trackedIds.length === 0) return;
+    const listingsById = await fetchListingsByIds(trackedIds);
     
     // Process alerts sequentially to avoid race conditions
     for (let i = alerts.length - 1; i >= 0; i--) {
       const alert = alerts[i];
       let alertModified = false;
       let selectedListings = [...(alert.listing_ids || [])]; // Create a copy
-      let invalidUser = false;
 
       for (let j = selectedListings.length - 1; j >= 0; j--) {
         const selectedListing = selectedListings[j];
         try {
-          // Check listing status via subgraph (same as main app)
-          const query = `
-            query GetListing($listingId: String!) {
-              listing(id: $listingId) {
-                id
-                amount
-                amountRemaining
-                pricePerItemETH
-                status
-                isActive
-                owner { id }
-                transfers {
-                  amount
-                  totalValueETH
-                  transferredTo { id }
-                }
-              }
-            }
-          `;
-
-          const data = await querySubgraph(query, { listingId: selectedListing.id });
-          const listing = data.listing;
+          const listing = listingsById.get(String(selectedListing.id));
           if (!listing) {
             // Listing doesn't exist anymore, remove it
             selectedListings.splice(j, 1);
@@ -892,98 +1812,110 @@ async function checkListingSoldNotifications() {
             continue;
           }
 
-          // Check if listing was canceled by owner vs sold to someone else
-          let wasCanceledByOwner = false;
-          // Prefer explicit status/isActive signals when available
-          if (typeof listing.status === 'string' && listing.status.toUpperCase().includes('CANCEL')) {
-            wasCanceledByOwner = true;
-          } else if (listing.isActive === false && (listing.amountRemaining === listing.amount)) {
-            // In some subgraphs, canceled listings are inactive and have full amount remaining
-            wasCanceledByOwner = true;
-          } else if (listing.transfers && listing.transfers.length > 0) {
-            // Heuristic: last transfer back to owner indicates cancellation
-            const recentTransfer = listing.transfers[listing.transfers.length - 1];
-            wasCanceledByOwner = recentTransfer.transferredTo.id === listing.owner.id;
-          }
-          const currentRemaining = listing.amountRemaining || 0;
-          const isFullySold = currentRemaining == 0;
+          // Fills to buyers not announced yet, and whether the items went back to the owner
+          const { fills, newFills, returnedToOwner, currentRemaining, seenTransferIds } = getListingFills(listing, selectedListing);
+          const isFullySold = currentRemaining === 0 && !returnedToOwner;
+
+          // Cancellation only from explicit data: a cancelled status, the items going back to the owner,
+          // or the listing going inactive with items still in it
+          const wasCanceledByOwner =
+            (typeof listing.status === 'string' && listing.status.toUpperCase().includes('CANCEL')) ||
+            returnedToOwner ||
+            (listing.isActive === false && currentRemaining > 0);
+
+          const amountSold = newFills.reduce((sum, fill) => sum + parseInt(fill.amount || 0, 10), 0);
+          const valueSoldETH = newFills.reduce((sum, fill) => sum + parseFloat(fill.totalValueETH || 0), 0);
+
+          const notificationTypes = selectedListing.notification_types || selectedListing.notification_type || ['all_trade'];
+          const typesArray = Array.isArray(notificationTypes) ? notificationTypes : [notificationTypes];
+          const notifyEveryTrade = typesArray.includes('all_trade') || typesArray.includes('both');
+          const notifySoldOut = typesArray.includes('sold_out') || typesArray.includes('both');
+
+          const formatEth = (value) => value.toFixed(6).replace(/\.?0+$/, '');
+          const formatUsd = (value) => ethToUsdRate > 0 ? ` ( $${(value * ethToUsdRate).toFixed(2)} )` : '';
+          const formatBuyer = (address) => address ? `${address.slice(0, 6)}…${address.slice(-4)}` : 'unknown';
+          const fillLines = newFills.map(fill =>
+            `x**${fill.amount}** to \`${formatBuyer(fill.transferredTo?.id)}\` for **${formatEth(parseFloat(fill.totalValueETH || 0))} ETH**${formatUsd(parseFloat(fill.totalValueETH || 0))}`
+          );
 
           let shouldNotify = false;
           let shouldRemoveListing = false;
           let message = '';
-          let amountSoldSinceLastCheck = 0; // Initialize outside the blocks
 
-          // Step 1: Evaluate if the listing was canceled by the owner (regardless of amount remaining).
+          // Fills that happened before a cancellation are still announced
+          if (notifyEveryTrade && newFills.length > 0) {
+            message = `💰 **Listing Sale** 💰\n**${selectedListing.item_name}**\namount sold: x**${amountSold}** for **${formatEth(valueSoldETH)} ETH**${formatUsd(valueSoldETH)}\n${fillLines.join('\n')}\nremaining: x **${currentRemaining}**`;
+            shouldNotify = true;
+            if (isFullySold) {
+              shouldRemoveListing = true;
+            }
+          }
+
+          if (notifySoldOut && isFullySold) {
+            const totalSoldETH = fills.reduce((sum, fill) => sum + parseFloat(fill.totalValueETH || 0), 0);
+            const buyerCount = new Set(fills.map(fill => fill.transferredTo?.id)).size;
+            message = `✅ **Listing Complete** ✅\n**${selectedListing.item_name}** - fully sold!\namount: **${selectedListing.amount}** to ${buyerCount} buyer${buyerCount === 1 ? '' : 's'}\nreceive: **${formatEth(totalSoldETH)} ETH**${formatUsd(totalSoldETH)}`;
+            shouldNotify = true;
+            shouldRemoveListing = true;
+          }
+
           if (wasCanceledByOwner) {
             shouldRemoveListing = true;
-            shouldNotify = false; // Explicitly ensure no notification for cancellations
             console.warn(`Listing ${selectedListing.id} canceled by owner. Removing alert entry.`);
-
-          // Step 2: If not canceled, evaluate if it was sold.
-          } else {
-            // Get the last known remaining amount (stored when alert was created or last updated)
-            const lastKnownRemaining = selectedListing.last_remaining_amount || selectedListing.amount || 0;
-            
-            // Calculate how many items were sold since last check
-            amountSoldSinceLastCheck = lastKnownRemaining - currentRemaining;
-            
-            const notificationTypes = selectedListing.notification_types || selectedListing.notification_type || ['all_trade'];
-            const typesArray = Array.isArray(notificationTypes) ? notificationTypes : [notificationTypes];
-            
-            if ((typesArray.includes('all_trade') || typesArray.includes('both')) && amountSoldSinceLastCheck > 0) {
-              const priceUSD = (selectedListing.price * ethToUsdRate).toFixed(2);
-              const priceETH = selectedListing.price.toFixed(6).replace(/\.?0+$/, '');
-              message = `💰 **Listing Sale** 💰\n**${selectedListing.item_name}**\namount sold: x**${amountSoldSinceLastCheck}**\nprice: **${priceETH} ETH** ( $${priceUSD} )\nremaining: x **${currentRemaining}**`;
-              shouldNotify = true;
-
-
-
-              if (isFullySold) {
-                shouldRemoveListing = true;
-              }
-            }
-
-            if ((typesArray.includes('sold_out') || typesArray.includes('both')) && isFullySold) {
-              const totalUSD = (selectedListing.amount * selectedListing.price * ethToUsdRate).toFixed(2);
-              const totalETH = (selectedListing.amount * selectedListing.price).toFixed(6).replace(/\.?0+$/, '');
-              message = `✅ **Listing Complete** ✅\n**${selectedListing.item_name}** - fully sold!\namount: **${selectedListing.amount}**\nreceive: **${totalETH} ETH** ( **$${totalUSD}** )`;
-              shouldNotify = true;
-              shouldRemoveListing = true;
-            }
           }
-          
-          // Step 3: Perform actions based on the flags set in steps 1 or 2.
+
           if (shouldNotify) {
             // Route notification based on channel
-            const username = alert.notification_channel === 'telegram' ? alert.telegram_username : alert.discord_username;
-            const channel = alert.notification_channel || 'discord';
+            const username = getAlertRecipientLabel(alert);
+            const channel = getAlertChannels(alert).join('+');
             const itemId = selectedListing.item_id;
             const condition = 'sold'; // Listing sold = use telegram_sold.png background
 
-            const sent = await sendNotification(username, message, channel, itemId, condition);
+            const data = {
+              listing_id: selectedListing.id,
+              item_id: String(itemId),
+              name: selectedListing.item_name,
+              amount_sold: amountSold,
+              value_sold_eth: valueSoldETH,
+              amount_remaining: currentRemaining,
+              fully_sold: isFullySold,
+              canceled: wasCanceledByOwner,
+              fills: newFills.map(fill => ({
+                transfer_id: fill.id,
+                buyer: fill.transferredTo?.id || null,
+                amount: parseInt(fill.amount || 0, 10),
+                total_value_eth: parseFloat(fill.totalValueETH || 0)
+              })),
+              price_eth: selectedListing.price,
+              price_usd: ethToUsdRate > 0 ? selectedListing.price * ethToUsdRate : null
+            };
+            const idempotency = {
+              targetId: selectedListing.id,
+              fingerprint: getFingerprint([newFills.map(fill => fill.id).sort(), isFullySold])
+            };
+            const { success: sent } = await deliverAlertNotification(alert, message, itemId, condition, { data, idempotency });
             if (!sent) {
-              console.error(` Failed to send listing notification to ${username} (channel: ${channel}) - marking for removal`);
-              invalidUser = true;
-              break; // Exit the listing loop for this alert
+              console.error(` Failed to send listing notification to ${username} (channel: ${channel}) - queued for retry`);
             }
 
             // Log triggered alert to admin channel
             const alertTypeStr = isFullySold ? 'Listing Sold Out' : 'Listing Sale';
-            const logPriceETH = selectedListing.price.toFixed(6).replace(/\.?0+$/, '');
             const logUsername = username || alert.discord_username || alert.telegram_username || 'unknown';
             await logTriggeredAlert(
               logUsername,
               alertTypeStr,
-              `Item: **${selectedListing.item_name}**\nAmount: **${amountSoldSinceLastCheck > 0 ? amountSoldSinceLastCheck : selectedListing.amount}**\nPrice: **${logPriceETH} ETH**`
+              `Item: **${selectedListing.item_name}**\nAmount: **${amountSold > 0 ? amountSold : selectedListing.amount}**\nValue: **${formatEth(valueSoldETH)} ETH**${newFills.length > 0 ? `\nBuyers: ${[...new Set(newFills.map(fill => fill.transferredTo?.id))].join(', ')}` : ''}`
             );
           }
-          
-          // Update the last_remaining_amount for future comparisons (only if not canceled)
-          if (!wasCanceledByOwner) {
+
+          // Remember announced fills so partial fills are never counted twice
+          const nextSeenIds = fills.map(fill => fill.id);
+          if (nextSeenIds.length !== seenTransferIds.length || newFills.length > 0 || selectedListing.last_remaining_amount !== currentRemaining) {
+            selectedListing.seen_transfer_ids = nextSeenIds;
             selectedListing.last_remaining_amount = currentRemaining;
             alertModified = true;
           }
-          
+
           // This now runs for BOTH canceled and sold-out listings.
           if (shouldRemoveListing) {
             // Mark as completed - this is the final trigger
@@ -997,13 +1929,7 @@ async function checkListingSoldNotifications() {
       }
 
       // Update database once after processing all listings
-      if (invalidUser) {
-        // Remove entire alert if user is invalid
-        await supabase
-          .from('notification_alerts')
-          .delete()
-          .eq('id', alert.id);
-      } else if (alertModified) {
+      if (alertModified) {
         // Filter out completed listings
         const activeListings = selectedListings.filter(l => l.status !== 'completed');
 
@@ -1027,16 +1953,44 @@ async function checkListingSoldNotifications() {
   }
 }
 
+// Competing asks for an undercut check: active listings of the item that are not the user's own.
+// Owners come from fetchListingsForItem; the user is the owner of the tracked listing (or the stored
+// owner_address). Falls back to the anonymous orderbook asks when the listings API returns nothing.
+function getCompetingAsks(listing, itemListings, orderbookAsks) {
+  if (itemListings.length === 0) {
+    return orderbookAsks;
+  }
+
+  const getOwner = (l) => String(l.owner?.id || l.owner || '').toLowerCase();
+  const tracked = itemListings.find(l => String(l.id) === String(listing.id));
+  const ownerAddress = (tracked ? getOwner(tracked) : '') || (listing.owner_address || '').toLowerCase();
+
+  return itemListings
+    .filter(l => String(l.id) !== String(listing.id) && (!ownerAddress || getOwner(l) !== ownerAddress))
+    .map(l => ({
+      price: parseFloat(l.pricePerItemETH ?? l.price ?? 0),
+      amount: parseInt(l.amountRemaining ?? l.amount ?? 0, 10)
+    }))
+    .filter(ask => ask.price > 0 && ask.amount > 0)
+    .sort((a, b) => a.price - b.price);
+}
+
 // Function to check undercut notifications (batched by item)
+// Per-listing settings: min_undercut_percent (ignore asks less than this % below the user's price),
+// min_undercut_quantity (ignore asks with fewer items), renotify_deeper (keep watching and notify again
+// whenever the lowest undercut drops below the last one notified, stored as last_undercut_price)
 async function checkUndercutNotifications() {
   try {
     console.log('Checking undercut notifications...');
-    const { data: alerts, error } = await supabase
+    const { data: allAlerts, error } = await supabase
       .from('notification_alerts')
       .select('*')
-      .eq('alert_type', 'listing_alert');
+      .eq('alert_type', 'listing_alert')
+      .or(ACTIVE_ALERT_FILTER);
 
     if (error) throw error;
+    const alerts = ownRows(allAlerts);
+    alertsEvaluated.inc({ check: 'undercut' }, alerts.length);
 
     const ethToUsdRate = await getEthToUsdRate();
 
@@ -1065,70 +2019,106 @@ async function checkUndercutNotifications() {
       }
     }
 
-    // Process each item's orderbook once
+    // Process each item's listings and orderbook once
     for (const [itemId, items] of Object.entries(alertsByItem)) {
-      const orderbook = await fetchOrderbook(itemId);
+      const [itemListings, { asks }] = await Promise.all([fetchListingsForItem(itemId), fetchOrderbook(itemId)]);
 
       for (const { alert, listing, types } of items) {
         const userPrice = parseFloat(listing.price);
-        const undercutListings = orderbook.filter(ask => ask.price < userPrice);
+        const minPercent = parseFloat(listing.min_undercut_percent) || 0;
+        const minQuantity = parseInt(listing.min_undercut_quantity, 10) || 1;
+        const maxUndercutPrice = userPrice * (1 - minPercent / 100);
+        const undercutListings = getCompetingAsks(listing, itemListings, asks)
+          .filter(ask => ask.price < userPrice && ask.price <= maxUndercutPrice && ask.amount >= minQuantity);
 
         if (undercutListings.length === 0) {
           continue;
         }
 
+        // In renotify mode only a deeper undercut than the last one notified triggers again
+        const lowestPrice = undercutListings[0].price;
+        const lastUndercutPrice = parseFloat(listing.last_undercut_price);
+        if (listing.renotify_deeper && lastUndercutPrice > 0 && lowestPrice >= lastUndercutPrice) {
+          continue;
+        }
+
         const totalAmount = undercutListings.reduce((sum, ask) => sum + ask.amount, 0);
         const totalEthValue = undercutListings.reduce((sum, ask) => sum + (ask.amount * ask.price), 0);
-        const totalUsdValue = totalEthValue * ethToUsdRate;
+        const usd = (ethValue) => ethToUsdRate > 0 ? ` ($${(ethValue * ethToUsdRate).toFixed(2)})` : '';
         const topUndercuts = undercutListings.slice(0, 3);
         const undercutDetails = topUndercuts
           .map(ask => {
             const priceETH = ask.price.toFixed(6).replace(/\.?0+$/, '');
-            return `${ask.amount}x - ${priceETH} ETH ($${(ask.price * ethToUsdRate).toFixed(2)})`;
+            return `${ask.amount}x - ${priceETH} ETH${usd(ask.price)}`;
           })
           .join('\n');
 
         const userPriceFormatted = userPrice.toFixed(6).replace(/\.?0+$/, '');
         const undercutSumEth = totalEthValue.toFixed(6).replace(/\.?0+$/, '');
-        const undercutSumUsd = totalUsdValue.toFixed(2);
         const message = `🪓 **Price Undercut** 🪓
 **${listing.item_name}**
-Your price: **${userPriceFormatted} ETH** ($${(userPrice * ethToUsdRate).toFixed(2)})
-Undercut sum: **${undercutSumEth} ETH** ($${undercutSumUsd})
+Your price: **${userPriceFormatted} ETH**${usd(userPrice)}
+Undercut sum: **${undercutSumEth} ETH**${usd(totalEthValue)}
 
 **${totalAmount} items** below your price:
 ${undercutDetails}${undercutListings.length > 3 ? `\n...` : ''}`;
 
         // Route notification based on channel
-        const username = alert.notification_channel === 'telegram' ? alert.telegram_username : alert.discord_username;
-        const channel = alert.notification_channel || 'discord';
+        const username = getAlertRecipientLabel(alert);
         const listingItemId = listing.item_id;
         const condition = 'undercut'; // Undercut = use telegram_undercat.png background
 
-        const sent = await sendNotification(username, message, channel, listingItemId, condition);
+        const data = {
+          listing_id: listing.id,
+          item_id: String(listingItemId),
+          name: listing.item_name,
+          price_eth: userPrice,
+          price_usd: ethToUsdRate > 0 ? userPrice * ethToUsdRate : null,
+          undercut_amount: totalAmount,
+          undercut_value_eth: totalEthValue,
+          lowest_price_eth: lowestPrice,
+          undercuts: undercutListings.map(ask => ({ price_eth: ask.price, amount: ask.amount }))
+        };
+        const idempotency = {
+          targetId: listing.id,
+          fingerprint: listing.renotify_deeper ? `undercut:${lowestPrice}` : 'undercut'
+        };
+        const { success: sent } = await deliverAlertNotification(alert, message, listingItemId, condition, { data, idempotency });
 
         if (sent) {
           console.log(`[UNDERCUT] Sent to ${username}`);
-          const logUserPrice = userPrice.toFixed(6).replace(/\.?0+$/, '');
-          const logUsername = username || alert.discord_username || alert.telegram_username || 'unknown';
-          await logTriggeredAlert(
-            logUsername,
-            'Listing Undercut',
-            `${listing.item_name} - ${undercutListings.length} listing${undercutListings.length > 1 ? 's' : ''} below ${logUserPrice} ETH`
-          );
         } else {
-          console.warn(`[UNDERCUT] Failed to notify ${username}`);
-          continue;
+          console.warn(`[UNDERCUT] Failed to notify ${username} - queued for retry`);
         }
+        const logUserPrice = userPrice.toFixed(6).replace(/\.?0+$/, '');
+        const logUsername = username || alert.discord_username || alert.telegram_username || 'unknown';
+        await logTriggeredAlert(
+          logUsername,
+          'Listing Undercut',
+          `${listing.item_name} - ${undercutListings.length} listing${undercutListings.length > 1 ? 's' : ''} below ${logUserPrice} ETH`
+        );
 
-        // Update status - mark undercut as sent
-        const currentStatus = listing.status || 'active';
+        // Update status - mark undercut as sent (renotify mode stays active and remembers the price)
         const hasSoldOut = types.includes('sold_out');
         const hasAllTrades = types.includes('all_trade') || types.includes('both');
-        const shouldRemoveFromDB = !hasSoldOut && !hasAllTrades;
+        const shouldRemoveFromDB = !listing.renotify_deeper && !hasSoldOut && !hasAllTrades;
         const newStatus = shouldRemoveFromDB ? 'completed' : 'undercut_sent';
 
-        if (shouldRemoveFromDB) {
+        if (listing.renotify_deeper) {
+          const updatedListings = alert.listing_ids.map(l =>
+            l.id === listing.id ? { ...l, last_undercut_price: lowestPrice } : l
+          );
+          alert.listing_ids = updatedListings;
+
+          const { error: updateError } = await supabase
+            .from('notification_alerts')
+            .update({ listing_ids: updatedListings })
+            .eq('id', alert.id);
+
+          if (updateError) {
+            console.error(`[ERROR] Failed to update alert ${alert.id}:`, updateError);
+          }
+        } else if (shouldRemoveFromDB) {
           // Remove this specific listing from the alert
           const updatedListings = alert.listing_ids.filter(l => l.id !== listing.id);
 
@@ -1172,24 +2162,588 @@ ${undercutDetails}${undercutListings.length > 3 ? `\n...` : ''}`;
   }
 }
 
+const WALLET_PAGE_SIZE = 1000;
+
+// All listings owned by a wallet, paginated by id cursor so none are mistaken for disappeared
+async function fetchWalletListings(address) {
+  const query = `
+    query GetWalletListings($owner: String!, $after: String!, $first: Int!) {
+      listings(where: { owner: $owner, id_gt: $after }, orderBy: id, orderDirection: asc, first: $first) {
+        id
+        amount
+        amountRemaining
+        pricePerItemETH
+        isActive
+      }
+    }
+  `;
+  const listings = [];
+  let after = '';
+  while (true) {
+    const data = await querySubgraph(query, { owner: address, after, first: WALLET_PAGE_SIZE });
+    const page = data.listings || [];
+    listings.push(...page);
+    if (page.length < WALLET_PAGE_SIZE) break;
+    after = page[page.length - 1].id;
+  }
+  return listings;
+}
+
+// Fills bought by a wallet from block fromBlock on (inclusive), paginated by id cursor
+// Without fromBlock only the latest page is returned, which is enough to set a baseline
+async function fetchWalletBuys(address, fromBlock) {
+  const fields = `
+    id
+    amount
+    totalValueETH
+    blockNumber
+    listing { id owner { id } }
+  `;
+  if (fromBlock === undefined) {
+    const data = await querySubgraph(`
+      query GetLatestWalletBuys($buyer: String!) {
+        transfers(where: { transferredTo: $buyer }, orderBy: blockNumber, orderDirection: desc, first: ${WALLET_PAGE_SIZE}) {
+          ${fields}
+        }
+      }
+    `, { buyer: address });
+    return data.transfers || [];
+  }
+
+  const query = `
+    query GetWalletBuys($buyer: String!, $fromBlock: BigInt!, $after: String!, $first: Int!) {
+      transfers(where: { transferredTo: $buyer, blockNumber_gte: $fromBlock, id_gt: $after }, orderBy: id, orderDirection: asc, first: $first) {
+        ${fields}
+      }
+    }
+  `;
+  const transfers = [];
+  let after = '';
+  while (true) {
+    const data = await querySubgraph(query, { buyer: address, fromBlock: String(fromBlock), after, first: WALLET_PAGE_SIZE });
+    const page = data.transfers || [];
+    transfers.push(...page);
+    if (page.length < WALLET_PAGE_SIZE) break;
+    after = page[page.length - 1].id;
+  }
+  return transfers;
+}
+
+// Function to check wallet watch alerts (listings, fills, buys and balance changes of a tracked wallet)
+// alert.watch_address: wallet to follow
+// alert.watch_events: any of 'list', 'fill', 'buy', 'balance' (default all)
+// alert.item_ids: items whose balance is tracked ({ id, name, balance_change_threshold })
+// alert.watch_state: last seen listings/balances/buys, first run only records a baseline
+async function checkWalletWatchAlerts() {
+  try {
+    const { data: allAlerts, error } = await supabase
+      .from('notification_alerts')
+      .select('*')
+      .eq('alert_type', 'wallet_watch')
+      .or(ACTIVE_ALERT_FILTER);
+
+    if (error) throw error;
+    const alerts = ownRows(allAlerts);
+    alertsEvaluated.inc({ check: 'wallet_watch' }, alerts.length);
+    if (!alerts || alerts.length === 0) return;
+
+    const ethToUsdRate = await getEthToUsdRate();
+    const formatPrice = (ethValue) => {
+      const priceETH = Number(ethValue).toFixed(6).replace(/\.?0+$/, '');
+      return ethToUsdRate > 0 ? `${priceETH} ETH ($${(ethValue * ethToUsdRate).toFixed(2)})` : `${priceETH} ETH`;
+    };
+
+    for (const alert of alerts) {
+      const address = (alert.watch_address || '').toLowerCase();
+      if (!ethers.isAddress(address)) {
+        continue;
+      }
+
+      const events = Array.isArray(alert.watch_events) && alert.watch_events.length > 0
+        ? alert.watch_events
+        : ['list', 'fill', 'buy', 'balance'];
+      const previousState = alert.watch_state || {};
+      const firstRun = !previousState.initialized;
+      const nextState = {
+        initialized: true,
+        listings: { ...(previousState.listings || {}) },
+        balances: { ...(previousState.balances || {}) },
+        buys: previousState.buys
+      };
+      const shortAddress = `${address.slice(0, 6)}…${address.slice(-4)}`;
+      const messages = [];
+
+      try {
+        if (events.includes('list') || events.includes('fill')) {
+          const listings = await fetchWalletListings(address);
+          const seenIds = new Set();
+
+          for (const listing of listings) {
+            seenIds.add(listing.id);
+            const remaining = parseInt(listing.amountRemaining || 0, 10);
+            const previousRemaining = previousState.listings?.[listing.id];
+            const priceETH = parseFloat(listing.pricePerItemETH || 0);
+
+            if (previousRemaining === undefined) {
+              if (listing.isActive !== false && remaining > 0) {
+                nextState.listings[listing.id] = remaining;
+                if (!firstRun && events.includes('list')) {
+                  messages.push(`📝 Listed x**${remaining}** @ **${formatPrice(priceETH)}** (listing ${listing.id})`);
+                }
+              }
+              continue;
+            }
+
+            if (remaining < previousRemaining && events.includes('fill')) {
+              messages.push(`💸 Sold x**${previousRemaining - remaining}** @ **${formatPrice(priceETH)}** (remaining x${remaining}, listing ${listing.id})`);
+            }
+
+            if (listing.isActive === false || remaining === 0) {
+              delete nextState.listings[listing.id];
+            } else {
+              nextState.listings[listing.id] = remaining;
+            }
+          }
+
+          // Forget listings that disappeared from the subgraph
+          for (const listingId of Object.keys(nextState.listings)) {
+            if (!seenIds.has(listingId)) {
+              delete nextState.listings[listingId];
+            }
+          }
+        }
+
+        if (events.includes('buy')) {
+          // Buys are tracked by block: { block, ids } holds the last block seen and the fills already seen in it
+          const previousBuys = previousState.buys;
+          const transfers = await fetchWalletBuys(address, previousBuys ? previousBuys.block : undefined);
+          // A transfer back to the listing owner is a cancellation, not a buy
+          const buys = transfers.filter(transfer => transfer.listing?.owner?.id?.toLowerCase() !== address);
+          const seenAtBlock = new Set(previousBuys?.ids || []);
+          const newBuys = previousBuys
+            ? buys.filter(buy => !(parseInt(buy.blockNumber, 10) === previousBuys.block && seenAtBlock.has(buy.id)))
+            : [];
+
+          for (const buy of newBuys.sort((a, b) => parseInt(a.blockNumber, 10) - parseInt(b.blockNumber, 10))) {
+            const amount = parseInt(buy.amount || 0, 10);
+            const valueETH = parseFloat(buy.totalValueETH || 0);
+            messages.push(`🛒 Bought x**${amount}** for **${formatPrice(valueETH)}** (listing ${buy.listing?.id ?? '?'})`);
+          }
+
+          const lastBlock = Math.max(previousBuys?.block ?? 0, ...transfers.map(transfer => parseInt(transfer.blockNumber, 10)));
+          const idsAtLastBlock = transfers.filter(transfer => parseInt(transfer.blockNumber, 10) === lastBlock).map(transfer => transfer.id);
+          nextState.buys = {
+            block: lastBlock,
+            ids: lastBlock === previousBuys?.block ? [...new Set([...seenAtBlock, ...idsAtLastBlock])] : idsAtLastBlock
+          };
+        }
+
+        if (events.includes('balance') && (alert.item_ids || []).length > 0) {
+          // On a failed balance lookup keep the previous balances instead of reporting a drop to 0
+          const balances = await fetchUserBalances(address);
+          for (const watchedItem of (balances ? alert.item_ids : [])) {
+            const key = String(watchedItem.id);
+            const balance = balances.get(key) || 0;
+            const previousBalance = previousState.balances?.[key];
+            nextState.balances[key] = balance;
+
+            const threshold = parseFloat(watchedItem.balance_change_threshold ?? alert.balance_change_threshold ?? 1);
+            if (previousBalance === undefined || firstRun) {
+              continue;
+            }
+            const delta = balance - previousBalance;
+            if (Math.abs(delta) >= threshold && delta !== 0) {
+              const itemName = watchedItem.name || `Item ${key}`;
+              messages.push(`📦 **${itemName}** balance ${delta > 0 ? '+' : ''}${delta} (now ${balance})`);
+            }
+          }
+        }
+      } catch (watchError) {
+        console.error(`Error checking wallet watch ${alert.id} (${address}):`, watchError.message);
+        continue;
+      }
+
+      if (messages.length > 0) {
+        const label = alert.watch_label ? `${alert.watch_label} (${shortAddress})` : shortAddress;
+        const message = `👀 **Wallet Watch** 👀\n**${label}**\n${messages.join('\n')}`;
+        const username = getAlertRecipientLabel(alert);
+        const channel = getAlertChannels(alert).join('+');
+
+        const { success: sent } = await deliverAlertNotification(alert, message, null, 'default', {
+          data: { wallet: address, events: messages },
+          idempotency: { targetId: address, fingerprint: getFingerprint([previousState, nextState]) }
+        });
+        if (sent) {
+          console.log(`[WALLET WATCH] Sent to ${username} (${messages.length} event${messages.length > 1 ? 's' : ''})`);
+        } else {
+          console.error(` Failed to send wallet watch notification to ${username} (channel: ${channel}) - queued for retry`);
+        }
+
+        const logUsername = username || alert.discord_username || alert.telegram_username || 'unknown';
+        await logTriggeredAlert(logUsername, 'Wallet Watch', `Wallet: **${address}**\n${messages.join('\n')}`);
+      }
+
+      const { error: updateError } = await supabase
+        .from('notification_alerts')
+        .update({ watch_state: nextState })
+        .eq('id', alert.id);
+
+      if (updateError) {
+        console.error(` Failed to update wallet watch state for alert ${alert.id}:`, updateError);
+      }
+    }
+  } catch (error) {
+    console.error('Error checking wallet watch alerts:', error);
+  }
+}
+
+// ======================= Position P&L =======================
+// Wallets are linked per user in alert_profiles (discord_user_id / telegram_chat_id, legacy usernames -> wallet_address)
+const PNL_SUMMARY_HOUR_UTC = parseInt(process.env.PNL_SUMMARY_HOUR_UTC || '20', 10);
+
+async function getLinkedWallet(alert) {
+  if (alert.wallet_address) {
+    return alert.wallet_address.toLowerCase();
+  }
+
+  const { data, error } = await userProfiles.findProfile('alert_profiles', getRowOwner(alert), 'wallet_address');
+  if (error || !data?.wallet_address) {
+    return null;
+  }
+  return data.wallet_address.toLowerCase();
+}
+
+// Unrealized P&L of a /api/user-pnl position valued at the current floor
+// Uses position.amount and position.avgCostETH (per unit), falling back to position.totalCostETH
+function computePositionPnl(position, floorPriceETH, ethToUsdRate) {
+  const amount = parseFloat(position.amount ?? position.balance ?? 0);
+  const costBasisETH = position.avgCostETH !== undefined
+    ? parseFloat(position.avgCostETH) * amount
+    : parseFloat(position.totalCostETH ?? 0);
+  const marketValueETH = amount * floorPriceETH;
+  const pnlETH = marketValueETH - costBasisETH;
+
+  return {
+    amount,
+    costBasisETH,
+    marketValueETH,
+    pnlETH,
+    pnlUSD: pnlETH * ethToUsdRate,
+    pnlPercent: costBasisETH > 0 ? pnlETH / costBasisETH * 100 : 0
+  };
+}
+
+function formatSignedUsd(value) {
+  return `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(2)}`;
+}
+
+// P&L counterpart of isBeyondRearmBand: targets may be zero or negative, so the band is measured in
+// percentage points for percent targets and as a share of |target| for USD targets
+function isBeyondPnlRearmBand(pnlCondition, value, target, band) {
+  if (pnlCondition === 'above') {
+    return value < target - band;
+  }
+  return value > target + band;
+}
+
+// Function to check position P&L alerts
+// item_ids entries: { id, name, pnl_condition: 'above' | 'below', pnl_target_usd?, pnl_target_percent? }
+// Persistent alerts disarm after triggering and re-arm once P&L is back past the re-arm band (as price alerts)
+async function checkPnlAlerts() {
+  try {
+    const { data: allAlerts, error } = await supabase
+      .from('notification_alerts')
+      .select('*')
+      .eq('alert_type', 'pnl_alert')
+      .or(ACTIVE_ALERT_FILTER);
+
+    if (error) throw error;
+    const alerts = ownRows(allAlerts);
+    alertsEvaluated.inc({ check: 'pnl' }, alerts.length);
+    if (!alerts || alerts.length === 0) return;
+
+    const [floorLookup, ethToUsdRate] = await Promise.all([
+      fetchFloorPriceLookup(),
+      getEthToUsdRate()
+    ]);
+
+    for (const alert of alerts) {
+      const wallet = await getLinkedWallet(alert);
+      if (!wallet) {
+        continue;
+      }
+
+      const positions = await fetchUserPositions(wallet);
+      if (!positions) {
+        continue;
+      }
+
+      const persistentAlert = alert.remove_after_trigger === false;
+      const itemUpdates = new Map();
+      const triggered = [];
+
+      for (const selectedItem of (alert.item_ids || [])) {
+        const position = positions.find(p => p.itemId === String(selectedItem.id));
+        const floorPriceETH = floorLookup.get(String(selectedItem.id));
+        if (!position || !floorPriceETH) {
+          continue;
+        }
+
+        const pnl = computePositionPnl(position, floorPriceETH, ethToUsdRate);
+        if (pnl.amount <= 0) {
+          continue;
+        }
+
+        const pnlCondition = selectedItem.pnl_condition || 'above';
+        const usdTarget = parseFloat(selectedItem.pnl_target_usd);
+        const percentTarget = parseFloat(selectedItem.pnl_target_percent);
+        const usdValid = !Number.isNaN(usdTarget);
+        const percentValid = !Number.isNaN(percentTarget);
+        const usdTriggered = usdValid && ethToUsdRate > 0 && (
+          pnlCondition === 'above' ? pnl.pnlUSD >= usdTarget : pnl.pnlUSD <= usdTarget
+        );
+        const percentTriggered = percentValid && pnl.costBasisETH > 0 && (
+          pnlCondition === 'above' ? pnl.pnlPercent >= percentTarget : pnl.pnlPercent <= percentTarget
+        );
+
+        if (persistentAlert && selectedItem.armed === false) {
+          const rearmPercent = getRearmPercent(selectedItem, alert);
+          const usdRearmed = !usdValid ||
+            (ethToUsdRate > 0 && isBeyondPnlRearmBand(pnlCondition, pnl.pnlUSD, usdTarget, Math.abs(usdTarget) * rearmPercent / 100));
+          const percentRearmed = !percentValid ||
+            (pnl.costBasisETH > 0 && isBeyondPnlRearmBand(pnlCondition, pnl.pnlPercent, percentTarget, rearmPercent));
+          if (usdRearmed && percentRearmed) {
+            itemUpdates.set(String(selectedItem.id), { armed: true });
+            console.log(`[PNL ALERT] Re-armed ${selectedItem.name} for alert ${alert.id}`);
+          }
+          continue;
+        }
+
+        if ((!usdTriggered && !percentTriggered) || (persistentAlert && isInCooldown(selectedItem, alert))) {
+          continue;
+        }
+
+        const targetText = usdTriggered ? formatSignedUsd(usdTarget) : `${percentTarget}%`;
+        triggered.push({
+          selectedItem,
+          pnl,
+          line: `**${selectedItem.name || 'Item ' + selectedItem.id}** (x${pnl.amount}) ${pnlCondition} ${targetText}\n` +
+            `✅ Unrealized: ${ethToUsdRate > 0 ? `${formatSignedUsd(pnl.pnlUSD)} ` : ''}(${pnl.pnlPercent >= 0 ? '+' : ''}${pnl.pnlPercent.toFixed(1)}%)`
+        });
+      }
+
+      if (triggered.length === 0) {
+        if (itemUpdates.size > 0) {
+          await saveItemUpdates(alert, itemUpdates);
+        }
+        continue;
+      }
+
+      const message = `📊 **P&L Alert** 📊\n${triggered.map(t => t.line).join('\n\n')}`;
+      const username = getAlertRecipientLabel(alert);
+      const channel = getAlertChannels(alert).join('+');
+      const itemId = triggered.length === 1 ? triggered[0].selectedItem.id : null;
+
+      const { success: sent } = await deliverAlertNotification(alert, message, itemId, 'default', {
+        data: { wallet, items: triggered.map(t => ({ item_id: String(t.selectedItem.id), ...t.pnl })) },
+        idempotency: {
+          targetId: triggered.map(t => t.selectedItem.id).join(','),
+          fingerprint: getFingerprint(triggered.map(t => [t.selectedItem.id, t.selectedItem.last_triggered_at || null]))
+        }
+      });
+      if (sent) {
+        console.log(`[PNL ALERT] Sent to ${username}`);
+      } else {
+        console.error(` Failed to send P&L notification to ${username} (channel: ${channel}) - queued for retry`);
+      }
+
+      const logUsername = username || alert.discord_username || alert.telegram_username || 'unknown';
+      await logTriggeredAlert(logUsername, 'P&L Alert', `Wallet: **${wallet}**\n${triggered.map(t => t.line).join('\n')}`);
+
+      if (persistentAlert) {
+        const nowIso = new Date().toISOString();
+        triggered.forEach(t => itemUpdates.set(String(t.selectedItem.id), { armed: false, triggered_once: true, last_triggered_at: nowIso }));
+        await saveItemUpdates(alert, itemUpdates);
+      } else {
+        await supabase
+          .from('notification_alerts')
+          .delete()
+          .eq('id', alert.id);
+      }
+    }
+  } catch (error) {
+    console.error('Error checking P&L alerts:', error);
+  }
+}
+
+// Function to send the daily P&L summary to profiles that opted in (daily_pnl_summary)
+async function checkDailyPnlSummaries() {
+  try {
+    const now = new Date();
+    if (now.getUTCHours() < PNL_SUMMARY_HOUR_UTC) return;
+    const today = now.toISOString().slice(0, 10);
+
+    const { data: profiles, error } = await supabase
+      .from('alert_profiles')
+      .select('*')
+      .eq('daily_pnl_summary', true);
+
+    if (error) throw error;
+
+    const dueProfiles = ownRows(profiles).filter(profile =>
+      profile.wallet_address && (!profile.last_pnl_summary_at || profile.last_pnl_summary_at.slice(0, 10) !== today)
+    );
+    if (dueProfiles.length === 0) return;
+
+    const [floorLookup, ethToUsdRate, itemDetails] = await Promise.all([
+      fetchFloorPriceLookup(),
+      getEthToUsdRate(),
+      marketplace.getItemDetails().catch(() => ({}))
+    ]);
+    // The summary is in USD: without a fresh rate it is retried on the next check instead of showing $0
+    if (!(ethToUsdRate > 0)) {
+      console.warn('[PNL SUMMARY] No fresh ETH/USD price - skipping summaries');
+      return;
+    }
+
+    for (const profile of dueProfiles) {
+      const positions = await fetchUserPositions(profile.wallet_address);
+      if (!positions) continue;
+
+      const rows = positions
+        .map(position => {
+          const floorPriceETH = floorLookup.get(String(position.itemId));
+          if (!floorPriceETH) return null;
+          const pnl = computePositionPnl(position, floorPriceETH, ethToUsdRate);
+          if (pnl.amount <= 0) return null;
+          return { name: itemDetails[position.itemId]?.name || `Item ${position.itemId}`, ...pnl };
+        })
+        .filter(Boolean)
+        .sort((a, b) => Math.abs(b.pnlUSD) - Math.abs(a.pnlUSD));
+
+      if (rows.length === 0) continue;
+
+      const totalUSD = rows.reduce((sum, row) => sum + row.pnlUSD, 0);
+      const lines = rows.slice(0, 15).map(row =>
+        `${row.pnlUSD >= 0 ? '🟢' : '🔴'} ${row.name} x${row.amount}: ${formatSignedUsd(row.pnlUSD)} (${row.pnlPercent >= 0 ? '+' : ''}${row.pnlPercent.toFixed(1)}%)`
+      );
+      if (rows.length > 15) {
+        lines.push(`...and ${rows.length - 15} more`);
+      }
+      const message = `📊 **Daily P&L** 📊\nUnrealized total: **${formatSignedUsd(totalUSD)}**\n\n${lines.join('\n')}`;
+
+      const channel = profile.notification_channel || (profile.telegram_chat_id || profile.telegram_username ? 'telegram' : 'discord');
+      const recipient = getProfileRecipient(profile, channel);
+      const username = getAlertRecipientLabel(recipient);
+      const claim = { targetId: `pnl_summary:${profile.id}`, fingerprint: today, alertType: 'pnl_summary', owner: profile };
+      if (await claimNotification(claim)) {
+        const { success: sent } = await notifyAlert(recipient, message);
+        if (!sent) {
+          console.warn(`[PNL SUMMARY] Failed to send to ${username}`);
+          await releaseNotificationClaim(claim);
+          continue;
+        }
+        await finishNotificationLog(getIdempotencyKey(claim), 'sent', { message });
+      }
+
+      await supabase
+        .from('alert_profiles')
+        .update({ last_pnl_summary_at: now.toISOString() })
+        .eq('id', profile.id);
+      console.log(`[PNL SUMMARY] Sent to ${username}`);
+    }
+  } catch (error) {
+    console.error('Error sending daily P&L summaries:', error);
+  }
+}
+
+// Price checks are serialized so the periodic cycle and real-time triggers never evaluate the same alert twice at once
+let priceCheckQueue = Promise.resolve();
+function runPriceCheckExclusive(options = {}) {
+  priceCheckQueue = priceCheckQueue
+    .catch(() => {})
+    .then(() => checkPriceAlerts(options));
+  return priceCheckQueue;
+}
+
 // Wrapper function to safely run checks with error handling
 async function runSafeCheck(checkName, checkFunction) {
+  const startedAt = Date.now();
   try {
     await checkFunction();
   } catch (error) {
+    checkErrors.inc({ check: checkName });
     console.error(` Error in ${checkName}:`, error);
+  } finally {
+    checkDuration.set({ check: checkName }, (Date.now() - startedAt) / 1000);
+    checkLastRun.set({ check: checkName }, Math.floor(Date.now() / 1000));
   }
 }
 
-// Main monitoring function with bulletproof error handling
+// Only one cycle runs at a time: an interval firing while the previous cycle is still busy is skipped.
+// A cycle running longer than CYCLE_TIMEOUT_MS is cancelled through its AbortController (see timedFetch and
+// the Supabase client). Discord/Telegram sends ignore the signal, so if the cancelled cycle still has not
+// settled after CYCLE_ABORT_GRACE_MS it is abandoned and the next cycle may start.
+const CYCLE_TIMEOUT_MS = parseInt(process.env.MONITORING_CYCLE_TIMEOUT_MS || String(4 * 60 * 1000), 10);
+const CYCLE_ABORT_GRACE_MS = 30000;
+let activeCycle = null; // { controller, promise }
+let lastCycleCompletedAt = null;
+let shuttingDown = false;
+
 async function runMonitoringCycle() {
+  if (shuttingDown) {
+    return;
+  }
+  if (await refreshMonitoringPaused()) {
+    console.log('⏸️ Monitoring paused by admin - skipping cycle');
+    return;
+  }
+  if (activeCycle) {
+    console.warn(' Previous monitoring cycle still running - skipping this one');
+    return;
+  }
+
+  const controller = new AbortController();
+  let graceId = null;
+  const timeoutId = setTimeout(() => {
+    console.error(` TIMEOUT: Monitoring cycle took longer than ${Math.round(CYCLE_TIMEOUT_MS / 1000)}s - cancelling it`);
+    controller.abort(new Error('Monitoring cycle timed out'));
+    graceId = setTimeout(() => {
+      if (activeCycle === cycle) {
+        console.error(` Cancelled monitoring cycle still running after ${CYCLE_ABORT_GRACE_MS / 1000}s - abandoning it`);
+        activeCycle = null;
+      }
+    }, CYCLE_ABORT_GRACE_MS);
+  }, CYCLE_TIMEOUT_MS);
+
+  const promise = cycleContext.run({ signal: controller.signal }, runMonitoringChecks);
+  const cycle = { controller, promise };
+  activeCycle = cycle;
+  try {
+    await promise;
+  } finally {
+    clearTimeout(timeoutId);
+    clearTimeout(graceId);
+    if (activeCycle === cycle) {
+      activeCycle = null;
+    }
+  }
+}
+
+// Main monitoring function with bulletproof error handling
+async function runMonitoringChecks() {
   try {
     // Run all checks with individual error handling
     await Promise.allSettled([
-      runSafeCheck('Price Alerts', checkPriceAlerts),
+      runSafeCheck('Notification Queue', processNotificationQueue),
+      runSafeCheck('Price Alerts', () => runPriceCheckExclusive()),
       runSafeCheck('Listing Notifications', checkListingSoldNotifications),
-      runSafeCheck('Undercut Notifications', checkUndercutNotifications)
+      runSafeCheck('Undercut Notifications', checkUndercutNotifications),
+      runSafeCheck('Wallet Watch', checkWalletWatchAlerts),
+      runSafeCheck('P&L Alerts', checkPnlAlerts),
+      runSafeCheck('Daily P&L Summaries', checkDailyPnlSummaries)
     ]);
+    lastCycleCompletedAt = Date.now();
   } catch (error) {
     console.error(' Fatal error in monitoring cycle:', error);
   }
@@ -1211,26 +2765,312 @@ function startNotificationMonitoring() {
     await runMonitoringCycle();
   }, 5000);
 
-  // Set up interval with robust error handling and timeout
+  // Set up interval with robust error handling (overlap and timeout are handled by runMonitoringCycle)
   monitoringInterval = setInterval(async () => {
-    // Add timeout to prevent infinite hangs, but don't force exit
-    const timeoutId = setTimeout(() => {
-      console.error(' TIMEOUT: Monitoring cycle taking too long (>4 minutes), skipping this cycle');
-      // Don't force exit - just skip this cycle and continue
-    }, 4 * 60 * 1000); // 4 minute timeout
-
     try {
       await runMonitoringCycle();
     } catch (error) {
       console.error(' Error in monitoring cycle:', error);
       console.error('Stack:', error?.stack || 'No stack trace');
       // Continue despite error
-    } finally {
-      clearTimeout(timeoutId); // Cancel timeout if completed normally
     }
   }, 5 * 60 * 1000); // 5 minutes
 
   console.log('Monitoring interval set (every 5 minutes)');
+
+  startRealtimePriceMonitoring();
+  startDigestScheduler();
+}
+
+// ======================= Portfolio digest scheduler =======================
+// digest_preferences rows: discord_user_id / telegram_chat_id (legacy: usernames), notification_channel, wallet_address (optional,
+// falls back to alert_profiles), frequency 'daily' | 'weekly', hour (0-23), timezone (IANA), weekday (0=Sunday), last_sent_at
+const DIGEST_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+let digestInterval = null;
+let digestRun = null;
+
+// Local date/hour/weekday for a timezone (falls back to UTC on an invalid zone)
+function getLocalTimeParts(date, timeZone) {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || 'UTC',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      hourCycle: 'h23',
+      weekday: 'short'
+    }).formatToParts(date);
+  } catch {
+    return getLocalTimeParts(date, 'UTC');
+  }
+  const get = (type) => parts.find(p => p.type === type)?.value;
+  return {
+    dateKey: `${get('year')}-${get('month')}-${get('day')}`,
+    hour: parseInt(get('hour'), 10),
+    weekday: WEEKDAYS.indexOf(get('weekday'))
+  };
+}
+
+function isDigestDue(preference, now) {
+  const local = getLocalTimeParts(now, preference.timezone);
+  const hour = parseInt(preference.hour ?? 9, 10);
+  if (local.hour !== hour) {
+    return false;
+  }
+  if (preference.frequency === 'weekly' && local.weekday !== parseInt(preference.weekday ?? 1, 10)) {
+    return false;
+  }
+  if (!preference.last_sent_at) {
+    return true;
+  }
+  // Only once per local day (the due hour spans several scheduler ticks)
+  return getLocalTimeParts(new Date(preference.last_sent_at), preference.timezone).dateKey !== local.dateKey;
+}
+
+async function buildPortfolioDigest(preference, wallet, shared) {
+  const { floorLookup, ethToUsdRate, itemDetails } = shared;
+  const itemName = (itemId) => itemDetails[itemId]?.name || `Item ${itemId}`;
+  const fmtUsd = (ethValue) => ethToUsdRate > 0
+    ? `$${(ethValue * ethToUsdRate).toFixed(2)}`
+    : `${ethValue.toFixed(6).replace(/\.?0+$/, '')} ETH`;
+  const sections = [];
+
+  // Holdings and floor valuation with 24h change
+  const [balances, positions] = await Promise.all([
+    fetchUserBalances(wallet),
+    fetchUserPositions(wallet)
+  ]);
+  const heldItemIds = balances ? [...balances.keys()].filter(id => floorLookup.has(id)) : [];
+  const history = heldItemIds.length > 0 ? await fetchFloorHistory(heldItemIds, 24) : new Map();
+
+  if (heldItemIds.length > 0) {
+    const holdings = heldItemIds
+      .map(id => {
+        const floorPriceETH = floorLookup.get(id);
+        const valueETH = balances.get(id) * floorPriceETH;
+        const points = (history.get(id) || []).sort((a, b) => a.recordedAt - b.recordedAt);
+        const change = points.length > 0 && points[0].priceETH > 0
+          ? (floorPriceETH - points[0].priceETH) / points[0].priceETH * 100
+          : null;
+        return { id, amount: balances.get(id), valueETH, change };
+      })
+      .sort((a, b) => b.valueETH - a.valueETH);
+
+    const totalETH = holdings.reduce((sum, h) => sum + h.valueETH, 0);
+    const lines = holdings.slice(0, 10).map(h => {
+      const changeText = h.change === null ? '' : ` (${h.change >= 0 ? '+' : ''}${h.change.toFixed(1)}% 24h)`;
+      return `• ${itemName(h.id)} x${h.amount}: ${fmtUsd(h.valueETH)}${changeText}`;
+    });
+    if (holdings.length > 10) {
+      lines.push(`...and ${holdings.length - 10} more`);
+    }
+    sections.push(`**Holdings** - ${fmtUsd(totalETH)}\n${lines.join('\n')}`);
+  }
+
+  // Active listings (from the user's listing alerts) and their undercut status
+  const { data: listingAlerts } = await supabase
+    .from('notification_alerts')
+    .select('listing_ids')
+    .eq('alert_type', 'listing_alert')
+    .or(ownerFilter(getRowOwner(preference)));
+  const listings = (listingAlerts || []).flatMap(a => a.listing_ids || []).filter(l => l.status !== 'completed');
+  if (listings.length > 0) {
+    const lines = [];
+    for (const listing of listings.slice(0, 10)) {
+      const [itemListings, { asks }] = await Promise.all([fetchListingsForItem(listing.item_id), fetchOrderbook(listing.item_id)]);
+      const userPrice = parseFloat(listing.price);
+      const undercutAmount = getCompetingAsks(listing, itemListings, asks).filter(ask => ask.price < userPrice).reduce((sum, ask) => sum + ask.amount, 0);
+      const status = undercutAmount > 0 ? `🪓 undercut by ${undercutAmount}` : '✅ lowest';
+      const remaining = listing.last_remaining_amount ?? listing.amount;
+      lines.push(`• ${listing.item_name} x${remaining} @ ${userPrice.toFixed(6).replace(/\.?0+$/, '')} ETH - ${status}`);
+    }
+    sections.push(`**Listings**\n${lines.join('\n')}`);
+  }
+
+  // Unrealized P&L (in USD, left out without a fresh rate)
+  if (positions && positions.length > 0 && ethToUsdRate > 0) {
+    const rows = positions
+      .map(position => {
+        const floorPriceETH = floorLookup.get(String(position.itemId));
+        return floorPriceETH ? computePositionPnl(position, floorPriceETH, ethToUsdRate) : null;
+      })
+      .filter(row => row && row.amount > 0);
+    if (rows.length > 0) {
+      const totalUSD = rows.reduce((sum, row) => sum + row.pnlUSD, 0);
+      sections.push(`**P&L** - unrealized ${formatSignedUsd(totalUSD)}`);
+    }
+  }
+
+  if (sections.length === 0) {
+    return null;
+  }
+  const title = preference.frequency === 'weekly' ? 'Weekly Digest' : 'Daily Digest';
+  return `📬 **${title}** 📬\n\n${sections.join('\n\n')}`;
+}
+
+async function runDigestScheduler() {
+  try {
+    const { data: preferences, error } = await supabase
+      .from('digest_preferences')
+      .select('*')
+      .neq('frequency', 'off');
+
+    if (error) throw error;
+
+    const now = new Date();
+    const due = ownRows(preferences).filter(preference => isDigestDue(preference, now));
+    if (due.length === 0) return;
+
+    const [floorLookup, ethToUsdRate, itemDetails] = await Promise.all([
+      fetchFloorPriceLookup(),
+      getEthToUsdRate(),
+      marketplace.getItemDetails().catch(() => ({}))
+    ]);
+    const shared = { floorLookup, ethToUsdRate, itemDetails };
+
+    for (const preference of due) {
+      const channel = preference.notification_channel || (preference.telegram_chat_id || preference.telegram_username ? 'telegram' : 'discord');
+      const recipient = getProfileRecipient(preference, channel);
+      const username = getAlertRecipientLabel(recipient);
+      const wallet = preference.wallet_address?.toLowerCase() || await getLinkedWallet(recipient);
+      if (!wallet) {
+        continue;
+      }
+
+      const message = await buildPortfolioDigest({ ...preference, notification_channel: channel }, wallet, shared);
+      const claim = { targetId: `digest:${preference.id}`, fingerprint: preference.last_sent_at || 'never', alertType: 'digest', owner: preference };
+      if (message && await claimNotification(claim)) {
+        const { success: sent } = await notifyAlert(recipient, message);
+        if (!sent) {
+          console.warn(`[DIGEST] Failed to send to ${username}`);
+          await releaseNotificationClaim(claim);
+          continue;
+        }
+        await finishNotificationLog(getIdempotencyKey(claim), 'sent', { message });
+        console.log(`[DIGEST] Sent to ${username}`);
+      }
+
+      await supabase
+        .from('digest_preferences')
+        .update({ last_sent_at: now.toISOString() })
+        .eq('id', preference.id);
+    }
+  } catch (error) {
+    console.error('Error running digest scheduler:', error);
+  }
+}
+
+function startDigestScheduler() {
+  if (digestInterval) {
+    return;
+  }
+  digestInterval = setInterval(() => {
+    if (shuttingDown || digestRun) return;
+    digestRun = refreshMonitoringPaused()
+      .then(paused => (paused ? null : runDigestScheduler()))
+      .finally(() => {
+        digestRun = null;
+      });
+  }, DIGEST_CHECK_INTERVAL_MS);
+  console.log('Digest scheduler started (checks every 5 minutes)');
+}
+
+// ======================= Real-time price alerts =======================
+// Marketplace listings and fills move ERC-1155 items in/out of the marketplace contract,
+// so polling those transfers tells us which items changed without waiting for the 5 minute cycle.
+const ITEMS_CONTRACT_ADDRESS = (process.env.CONTRACT_ADDRESS_ITEMS || '0x50A5eb2B3B289D4cFda0e307609b655175a275b1').trim();
+const MARKETPLACE_ADDRESS = (process.env.MARKETPLACE_ADDRESS || '').trim().toLowerCase();
+const REALTIME_ALERTS = process.env.REALTIME_ALERTS === 'true';
+const REALTIME_POLL_INTERVAL_MS = parseInt(process.env.REALTIME_POLL_INTERVAL_MS || '3000', 10);
+const REALTIME_CONFIRMATIONS = parseInt(process.env.REALTIME_CONFIRMATIONS || '1', 10);
+const REALTIME_CHUNK = parseInt(process.env.REALTIME_CHUNK || '2000', 10);
+
+const ERC1155_ABI = [
+  'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)',
+  'event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)',
+];
+
+let realtimeInterval = null;
+
+// Collect item IDs touched by marketplace transfers in a block range
+async function queryMarketplaceItemIds(itemsContract, start, end) {
+  const { TransferSingle, TransferBatch } = itemsContract.filters;
+  const logGroups = await Promise.all([
+    itemsContract.queryFilter(TransferSingle(null, MARKETPLACE_ADDRESS), start, end),
+    itemsContract.queryFilter(TransferSingle(null, null, MARKETPLACE_ADDRESS), start, end),
+    itemsContract.queryFilter(TransferBatch(null, MARKETPLACE_ADDRESS), start, end),
+    itemsContract.queryFilter(TransferBatch(null, null, MARKETPLACE_ADDRESS), start, end),
+  ]);
+
+  const itemIds = new Set();
+  for (const ev of logGroups.flat()) {
+    if (ev.fragment?.name === 'TransferBatch') {
+      for (const id of (ev.args?.ids ?? ev.args?.[3] ?? [])) {
+        itemIds.add(id.toString());
+      }
+    } else {
+      const id = ev.args?.id ?? ev.args?.[3];
+      if (id !== undefined && id !== null) itemIds.add(id.toString());
+    }
+  }
+  return itemIds;
+}
+
+async function startRealtimePriceMonitoring() {
+  if (realtimeInterval || !REALTIME_ALERTS) {
+    return;
+  }
+  if (!ethers.isAddress(MARKETPLACE_ADDRESS) || !ethers.isAddress(ITEMS_CONTRACT_ADDRESS)) {
+    console.warn('⚠️ REALTIME_ALERTS enabled but MARKETPLACE_ADDRESS/CONTRACT_ADDRESS_ITEMS invalid - real-time mode disabled');
+    return;
+  }
+
+  const itemsContract = new ethers.Contract(ITEMS_CONTRACT_ADDRESS, ERC1155_ABI, rpcProvider);
+  let lastProcessed = null;
+  let ticking = false;
+
+  const tick = async () => {
+    if (ticking || shuttingDown) return;
+    ticking = true;
+    try {
+      if (await refreshMonitoringPaused()) {
+        return;
+      }
+      const head = await rpcProvider.getBlockNumber();
+      const safeHead = head - REALTIME_CONFIRMATIONS;
+      if (lastProcessed === null) {
+        // Start from the current head; the periodic cycle covers anything before boot
+        lastProcessed = safeHead;
+        return;
+      }
+      if (safeHead <= lastProcessed) return;
+
+      const affectedItemIds = new Set();
+      let cursor = lastProcessed + 1;
+      while (cursor <= safeHead) {
+        const sliceEnd = Math.min(cursor + REALTIME_CHUNK, safeHead);
+        const sliceIds = await queryMarketplaceItemIds(itemsContract, cursor, sliceEnd);
+        sliceIds.forEach(id => affectedItemIds.add(id));
+        cursor = sliceEnd + 1;
+      }
+      lastProcessed = safeHead;
+
+      if (affectedItemIds.size > 0) {
+        console.log(`[REALTIME] Marketplace activity for items ${[...affectedItemIds].join(', ')} - re-checking price alerts`);
+        await runPriceCheckExclusive({ itemIds: [...affectedItemIds] });
+      }
+    } catch (error) {
+      console.error('[REALTIME] Polling error:', error.message);
+    } finally {
+      ticking = false;
+    }
+  };
+
+  realtimeInterval = setInterval(tick, REALTIME_POLL_INTERVAL_MS);
+  console.log(`Real-time price alerts enabled (interval=${REALTIME_POLL_INTERVAL_MS}ms, marketplace=${MARKETPLACE_ADDRESS})`);
 }
 
 // Add reconnection handling with auto-recovery
@@ -1273,26 +3113,19 @@ process.on('unhandledRejection', (reason, promise) => {
   // Don't exit the process - continue running
 });
 
+// State after an uncaught exception is undefined: finish in-flight work and exit so the supervisor restarts us
 process.on('uncaughtException', (error) => {
   console.error(' Uncaught Exception:', error);
   console.error('Stack:', error?.stack || 'No stack trace');
-  // Don't exit the process - continue running
+  shutdown('Uncaught exception', 1);
 });
 
-// Prevent process exit
 process.on('exit', (code) => {
-  console.error(` Process attempting to exit with code ${code} - this should not happen!`);
+  console.log(` Process exiting with code ${code}`);
 });
 
-// Handle SIGTERM gracefully but don't exit
-process.on('SIGTERM', () => {
-  console.warn(' Received SIGTERM - ignoring and continuing to run');
-});
-
-// Handle SIGINT gracefully but don't exit
-process.on('SIGINT', () => {
-  console.warn(' Received SIGINT - ignoring and continuing to run');
-});
+process.on('SIGTERM', () => shutdown('Received SIGTERM'));
+process.on('SIGINT', () => shutdown('Received SIGINT'));
 
 // Persistent login function with infinite retry
 async function loginWithRetry() {
@@ -1327,7 +3160,7 @@ if (DISCORD_BOT_TOKEN) {
 }
 
 // Add heartbeat to keep process alive and monitor health
-setInterval(() => {
+const heartbeatInterval = setInterval(() => {
   const uptime = Math.floor(process.uptime());
   const hours = Math.floor(uptime / 3600);
   const minutes = Math.floor((uptime % 3600) / 60);
@@ -1350,6 +3183,148 @@ setInterval(() => {
   }
 }, 15 * 60 * 1000); // Every 15 minutes
 
+// ======================= HTTP server =======================
+// Small embedded server for browser-facing endpoints (email unsubscribe links) and monitoring
+// (/healthz, Prometheus /metrics); disabled unless HTTP_PORT is set
+const HTTP_PORT = parseInt(process.env.HTTP_PORT || '0', 10);
+const HEALTH_MAX_CYCLE_AGE_MS = 15 * 60 * 1000; // three missed 5-minute cycles
+const httpRoutes = new Map(); // 'METHOD /path' -> async handler(req, res, url)
+
+const discordConnected = createGauge('juiced_discord_connected', 'Discord gateway connection state (1 = ready)');
+const telegramPolling = createGauge('juiced_telegram_polling', 'Telegram polling state (1 = polling, 0 = stopped or disabled)');
+const monitoringPausedGauge = createGauge('juiced_monitoring_paused', 'Monitoring paused from the admin console (1 = paused)');
+const lastCycleGauge = createGauge('juiced_last_cycle_timestamp_seconds', 'Unix time the last full monitoring cycle finished');
+const heapUsedGauge = createGauge('juiced_process_heap_used_bytes', 'Process heap in use');
+const uptimeGauge = createGauge('juiced_process_uptime_seconds', 'Process uptime');
+
+addCollector(() => {
+  discordConnected.set({}, client.ws.status === 0 ? 1 : 0);
+  telegramPolling.set({}, telegramBot?.isPolling() ? 1 : 0);
+  monitoringPausedGauge.set({}, monitoringPaused ? 1 : 0);
+  lastCycleGauge.set({}, lastCycleCompletedAt ? Math.floor(lastCycleCompletedAt / 1000) : 0);
+  heapUsedGauge.set({}, process.memoryUsage().heapUsed);
+  uptimeGauge.set({}, Math.floor(process.uptime()));
+});
+
+// 200 when Discord is ready, Telegram (if configured) is polling and cycles are completing; 503 otherwise
+function handleHealthz(req, res) {
+  const cycleAgeMs = lastCycleCompletedAt ? Date.now() - lastCycleCompletedAt : null;
+  const checks = {
+    discord: client.ws.status === 0,
+    telegram: telegramBot && IS_PRIMARY_WORKER ? telegramBot.isPolling() : null,
+    // Paused monitoring is intentional, and the first cycle needs a moment after boot
+    monitoring: monitoringPaused || (cycleAgeMs === null ? process.uptime() * 1000 < HEALTH_MAX_CYCLE_AGE_MS : cycleAgeMs < HEALTH_MAX_CYCLE_AGE_MS)
+  };
+  const healthy = Object.values(checks).every(ok => ok !== false);
+
+  res.writeHead(healthy ? 200 : 503, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    status: healthy ? 'ok' : 'unhealthy',
+    checks,
+    monitoring_paused: monitoringPaused,
+    last_cycle_at: lastCycleCompletedAt ? new Date(lastCycleCompletedAt).toISOString() : null,
+    uptime_seconds: Math.floor(process.uptime()),
+    version: APP_VERSION
+  }));
+}
+
+function handleMetrics(req, res) {
+  res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+  res.end(renderMetrics());
+}
+
+httpRoutes.set('GET /unsubscribe', emailNotifier.handleUnsubscribePage);
+httpRoutes.set('POST /unsubscribe', emailNotifier.handleUnsubscribe);
+httpRoutes.set('GET /healthz', handleHealthz);
+httpRoutes.set('GET /metrics', handleMetrics);
+
+function startHttpServer() {
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const handler = httpRoutes.get(`${req.method} ${url.pathname}`);
+
+    if (!handler) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Not found');
+      return;
+    }
+
+    try {
+      await handler(req, res, url);
+    } catch (error) {
+      console.error(`[HTTP] ${req.method} ${url.pathname} failed:`, error.message);
+      if (!res.headersSent) {
+        res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+      }
+      res.end('Internal error');
+    }
+  });
+
+  server.on('error', (error) => {
+    console.error('[HTTP] Server error:', error.message);
+  });
+  server.listen(HTTP_PORT, () => {
+    console.log(`✅ HTTP server listening on port ${HTTP_PORT}`);
+  });
+  return server;
+}
+
+let httpServer = null;
+if (HTTP_PORT > 0) {
+  httpServer = startHttpServer();
+}
+
+// ======================= Graceful shutdown =======================
+// Stop scheduling new work, let the running cycle, price re-checks and digests finish so every sent
+// notification has its alert state written, then disconnect and exit. Work still running after
+// SHUTDOWN_TIMEOUT_MS is cancelled through the cycle's AbortController.
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '60000', 10);
+const SHUTDOWN_ABORT_GRACE_MS = 10000;
+
+// Resolves true if the promise settled within ms, false otherwise
+function settlesWithin(promise, ms) {
+  let timeoutId;
+  const timeout = new Promise(resolve => {
+    timeoutId = setTimeout(() => resolve(false), ms);
+  });
+  return Promise.race([promise.then(() => true), timeout]).finally(() => clearTimeout(timeoutId));
+}
+
+async function shutdown(reason, exitCode = 0) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(` ${reason} - shutting down gracefully...`);
+
+  clearInterval(monitoringInterval);
+  clearInterval(realtimeInterval);
+  clearInterval(digestInterval);
+  clearInterval(heartbeatInterval);
+
+  try {
+    if (telegramBot) {
+      await telegramBot.stopPolling();
+    }
+
+    const inFlight = Promise.allSettled([activeCycle?.promise, priceCheckQueue, digestRun].filter(Boolean));
+    if (!await settlesWithin(inFlight, SHUTDOWN_TIMEOUT_MS)) {
+      console.warn(` In-flight work still running after ${SHUTDOWN_TIMEOUT_MS / 1000}s - cancelling the monitoring cycle`);
+      activeCycle?.controller.abort(new Error('Shutting down'));
+      await settlesWithin(inFlight, SHUTDOWN_ABORT_GRACE_MS);
+    }
+
+    if (httpServer) {
+      await new Promise(resolve => httpServer.close(resolve));
+    }
+    await client.destroy();
+  } catch (error) {
+    console.error(' Error during shutdown:', error);
+    exitCode = exitCode || 1;
+  }
+
+  console.log(' Shutdown complete');
+  process.exit(exitCode);
+}
+
 // Log startup information
 console.log(' Discord Bot Starting...');
 console.log(` Started at: ${new Date().toISOString()}`);
@@ -1358,6 +3333,8 @@ console.log(` Initial memory: ${Math.round(process.memoryUsage().heapUsed / 1024
 
 module.exports = {
   sendNotification,
+  notifyAlert,
+  registerNotifier,
   sendDirectMessage,
   findOrCreatePrivateThread
 };
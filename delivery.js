@@ -0,0 +1,76 @@
+// Delivery Helpers
+// Channel fan-out, retry queue backoff and suspension bookkeeping for alert notifications. The I/O (notifiers,
+// notification_queue, notification_alerts) stays in alert_amount.js; these are the decisions it is based on.
+
+// 'discord' keeps its historical meaning: DM and private thread, delivered if either succeeds
+const CHANNEL_ALIASES = {
+  discord: ['discord_dm', 'discord_thread']
+};
+
+// Alert fields copied into a notification_queue snapshot so a retry does not depend on the alert row
+const RECIPIENT_FIELDS = [
+  'id', 'alert_type', 'notification_channel', 'notification_channels',
+  'discord_username', 'telegram_username', 'discord_user_id', 'telegram_chat_id', 'webhook_url', 'email_address'
+];
+
+const QUEUE_MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+
+// alert.notification_channels (array) fans out to several transports; notification_channel is the single legacy value
+function getAlertChannels(alert) {
+  const channels = Array.isArray(alert.notification_channels) && alert.notification_channels.length > 0
+    ? alert.notification_channels
+    : [alert.notification_channel || 'discord'];
+  return [...new Set(channels)];
+}
+
+// Channels whose delivery failed (results from notifyAlert)
+function getFailedChannels(results) {
+  return Object.entries(results).filter(([, sent]) => !sent).map(([channel]) => channel);
+}
+
+// Contact channels of the alert owner that are not among the failing ones
+function getFallbackChannels(alert) {
+  const failing = new Set(getAlertChannels(alert).flatMap(channel => CHANNEL_ALIASES[channel] ? [channel, ...CHANNEL_ALIASES[channel]] : [channel]));
+  const candidates = [
+    alert.telegram_chat_id || alert.telegram_username ? 'telegram' : null,
+    alert.discord_user_id || alert.discord_username ? 'discord' : null,
+    alert.email_address ? 'email' : null
+  ];
+  return candidates.filter(channel => channel && !failing.has(channel));
+}
+
+// Exponential backoff after the given number of attempts, capped at 6 hours
+function getQueueBackoffMs(attempts, baseDelayMs) {
+  return Math.min(baseDelayMs * 2 ** (attempts - 1), QUEUE_MAX_BACKOFF_MS);
+}
+
+// Recipient snapshot for a retry, narrowed to the channels that failed
+function getRetrySnapshot(alert, failedChannels) {
+  const snapshot = {};
+  RECIPIENT_FIELDS.forEach(field => {
+    if (alert[field] !== undefined) snapshot[field] = alert[field];
+  });
+  snapshot.notification_channels = failedChannels;
+  snapshot.notification_channel = failedChannels[0];
+  return snapshot;
+}
+
+// Count one more failed delivery against the stored alert state ({ delivery_failures, status });
+// null when the alert is already paused (suspended / unsubscribed) and should not be counted
+function countDeliveryFailure(current, maxFailures) {
+  if (!current || ['suspended', 'disabled'].includes(current.status)) {
+    return null;
+  }
+  const failures = (current.delivery_failures || 0) + 1;
+  return { failures, suspend: failures >= maxFailures };
+}
+
+module.exports = {
+  CHANNEL_ALIASES,
+  getAlertChannels,
+  getFailedChannels,
+  getFallbackChannels,
+  getQueueBackoffMs,
+  getRetrySnapshot,
+  countDeliveryFailure
+};
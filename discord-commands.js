@@ -0,0 +1,674 @@
+// Discord Slash Commands for Alert Management
+// Handles /alert and /alerts so Discord users can create and manage alerts without the website
+
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags } = require('discord.js');
+const { ethers } = require('ethers');
+const { createUserProfiles, ownerFilter } = require('./user-profiles');
+const { describeAlert, summarizeNotification } = require('./alert-summary');
+
+const GUILD_ID = process.env.DISCORD_GUILD_ID;
+const ITEMS_CACHE_TTL_MS = 10 * 60 * 1000;
+const MAX_CHOICES = 25; // Discord autocomplete limit
+const HISTORY_LIMIT = 15;
+
+// Helper: Format ETH with trimmed trailing zeros
+function formatETH(ethValue) {
+  return Number(ethValue).toFixed(6).replace(/\.?0+$/, '');
+}
+
+// Helper: Message a wallet signs to prove it belongs to a Discord user (bound to the user ID, so a signature
+// cannot be reused by anyone else)
+function getWalletProofMessage(userId, address) {
+  return `Link wallet ${address.toLowerCase()} to Discord user ${userId} on juiced.sh`;
+}
+
+const WEEKDAY_CHOICES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+  .map((name, value) => ({ name, value }));
+
+const commands = [
+  new SlashCommandBuilder()
+    .setName('alert')
+    .setDescription('Create a Juiced alert')
+    .addSubcommand(sub => sub
+      .setName('price')
+      .setDescription('Notify me when an item floor crosses a target')
+      .addStringOption(opt => opt.setName('item').setDescription('Item').setRequired(true).setAutocomplete(true))
+      .addStringOption(opt => opt.setName('condition').setDescription('Above or below target').setRequired(true)
+        .addChoices({ name: 'Above', value: 'above' }, { name: 'Below', value: 'below' }))
+      .addNumberOption(opt => opt.setName('target').setDescription('Target price').setRequired(true).setMinValue(0))
+      .addStringOption(opt => opt.setName('currency').setDescription('Target currency (default ETH)')
+        .addChoices({ name: 'ETH', value: 'eth' }, { name: 'USD', value: 'usd' }))
+      .addIntegerOption(opt => opt.setName('min_amount').setDescription('Minimum items available at target').setMinValue(1))
+      .addBooleanOption(opt => opt.setName('persistent').setDescription('Keep the alert after it triggers')))
+    .addSubcommand(sub => sub
+      .setName('listing')
+      .setDescription('Notify me about sales or undercuts of my listing')
+      .addStringOption(opt => opt.setName('item').setDescription('Item').setRequired(true).setAutocomplete(true))
+      .addStringOption(opt => opt.setName('listing').setDescription('Your listing').setRequired(true).setAutocomplete(true))
+      .addStringOption(opt => opt.setName('notify').setDescription('What to notify about (default every sale)')
+        .addChoices(
+          { name: 'Every sale', value: 'all_trade' },
+          { name: 'Sold out only', value: 'sold_out' },
+          { name: 'Undercut', value: 'undercut' }
+        ))
+      .addNumberOption(opt => opt.setName('min_undercut_pct').setDescription('Undercut: ignore asks less than this % below your price')
+        .setMinValue(0).setMaxValue(100))
+      .addIntegerOption(opt => opt.setName('min_quantity').setDescription('Undercut: ignore asks with fewer items').setMinValue(1))
+      .addBooleanOption(opt => opt.setName('renotify').setDescription('Undercut: notify again when undercut deeper')))
+    .addSubcommand(sub => sub
+      .setName('pnl')
+      .setDescription('Notify me when the unrealized P&L of a position crosses a target (needs /alerts wallet)')
+      .addStringOption(opt => opt.setName('item').setDescription('Item').setRequired(true).setAutocomplete(true))
+      .addStringOption(opt => opt.setName('condition').setDescription('Above or below target').setRequired(true)
+        .addChoices({ name: 'Above', value: 'above' }, { name: 'Below', value: 'below' }))
+      .addNumberOption(opt => opt.setName('target').setDescription('Target P&L (negative for a loss)').setRequired(true))
+      .addStringOption(opt => opt.setName('unit').setDescription('Target unit (default USD)')
+        .addChoices({ name: 'USD', value: 'usd' }, { name: 'Percent', value: 'percent' }))
+      .addBooleanOption(opt => opt.setName('persistent').setDescription('Keep the alert after it triggers'))),
+  new SlashCommandBuilder()
+    .setName('alerts')
+    .setDescription('Manage your Juiced alerts')
+    .addSubcommand(sub => sub
+      .setName('list')
+      .setDescription('List your alerts'))
+    .addSubcommand(sub => sub
+      .setName('history')
+      .setDescription('Show notifications you received recently'))
+    .addSubcommand(sub => sub
+      .setName('remove')
+      .setDescription('Remove one of your alerts')
+      .addStringOption(opt => opt.setName('alert').setDescription('Alert to remove').setRequired(true).setAutocomplete(true)))
+    .addSubcommand(sub => sub
+      .setName('resume')
+      .setDescription('Resume an alert suspended after failed deliveries')
+      .addStringOption(opt => opt.setName('alert').setDescription('Suspended alert').setRequired(true).setAutocomplete(true)))
+    .addSubcommand(sub => sub
+      .setName('wallet')
+      .setDescription('Link your wallet for P&L alerts')
+      .addStringOption(opt => opt.setName('address').setDescription('Wallet address (0x…)').setRequired(true))
+      .addBooleanOption(opt => opt.setName('daily_summary').setDescription('Send me a daily P&L summary')))
+    .addSubcommand(sub => sub
+      .setName('verify')
+      .setDescription('Prove you own your linked wallet (needed for listing alerts)')
+      .addStringOption(opt => opt.setName('signature').setDescription('Signature of the message shown by /alerts wallet').setRequired(true)))
+    .addSubcommand(sub => sub
+      .setName('digest')
+      .setDescription('Schedule a portfolio digest')
+      .addStringOption(opt => opt.setName('frequency').setDescription('How often').setRequired(true)
+        .addChoices({ name: 'Daily', value: 'daily' }, { name: 'Weekly', value: 'weekly' }, { name: 'Off', value: 'off' }))
+      .addIntegerOption(opt => opt.setName('hour').setDescription('Hour of day (0-23, default 9)').setMinValue(0).setMaxValue(23))
+      .addStringOption(opt => opt.setName('timezone').setDescription('IANA timezone, e.g. Europe/Berlin (default UTC)'))
+      .addIntegerOption(opt => opt.setName('weekday').setDescription('Weekly only (default Monday)')
+        .addChoices(...WEEKDAY_CHOICES))),
+  new SlashCommandBuilder()
+    .setName('link')
+    .setDescription('Link Discord to your juiced.sh account')
+    .addStringOption(opt => opt.setName('code').setDescription('One-time code from juiced.sh').setRequired(true))
+];
+
+// Initialize Discord slash commands
+function initDiscordCommands(client, supabase, { fetchListingsForItem, redeemLinkCode, marketplace }) {
+  if (!client) {
+    console.warn('⚠️ Discord client not provided to discord-commands');
+    return;
+  }
+
+  let itemsCache = { expiresAt: 0, items: [] };
+  const userProfiles = createUserProfiles(supabase);
+
+  // Helper: Owner descriptor of a Discord user for ownerFilter / the settings rows (alert_profiles, digest_preferences)
+  function profileOwner(user) {
+    return { platform: 'discord', id: user.id, username: user.username };
+  }
+
+  // Helper: Get all tradable items (id + name), cached
+  async function getItems() {
+    if (itemsCache.expiresAt > Date.now()) {
+      return itemsCache.items;
+    }
+
+    try {
+      const [itemIds, itemDetails] = await Promise.all([
+        marketplace.getItemIds(),
+        marketplace.getItemDetails()
+      ]);
+
+      const items = itemIds.map(itemId => ({
+        id: String(itemId),
+        name: itemDetails[itemId]?.name || 'Item ' + itemId
+      }));
+
+      itemsCache = { expiresAt: Date.now() + ITEMS_CACHE_TTL_MS, items };
+      return items;
+    } catch (error) {
+      console.error('Error fetching items for autocomplete:', error.message);
+      return itemsCache.items;
+    }
+  }
+
+  // Helper: Get alerts owned by a Discord user
+  async function getUserAlerts(user) {
+    const { data, error } = await supabase
+      .from('notification_alerts')
+      .select('*')
+      .or(ownerFilter(profileOwner(user)));
+
+    if (error) {
+      console.error('Error fetching Discord alerts:', error);
+      return null;
+    }
+    return data || [];
+  }
+
+  async function handleAutocomplete(interaction) {
+    const focused = interaction.options.getFocused(true);
+    const query = String(focused.value || '').toLowerCase();
+    let choices = [];
+
+    if (focused.name === 'item') {
+      const items = await getItems();
+      choices = items
+        .filter(item => item.name.toLowerCase().includes(query) || item.id === query)
+        .map(item => ({ name: item.name.slice(0, 100), value: item.id }));
+    } else if (focused.name === 'listing') {
+      const itemId = interaction.options.getString('item');
+      if (itemId) {
+        const listings = await fetchListingsForItem(itemId);
+        choices = listings
+          .filter(l => String(l.id).toLowerCase().includes(query))
+          .map(l => {
+            const price = parseFloat(l.pricePerItemETH ?? l.price ?? 0);
+            const remaining = l.amountRemaining ?? l.amount ?? '?';
+            const owner = l.owner?.id || l.owner || '';
+            return {
+              name: `${remaining}x @ ${formatETH(price)} ETH ${owner ? '- ' + String(owner).slice(0, 10) : ''}`.slice(0, 100),
+              value: String(l.id).slice(0, 100)
+            };
+          });
+      }
+    } else if (focused.name === 'alert') {
+      const suspendedOnly = interaction.options.getSubcommand() === 'resume';
+      const alerts = await getUserAlerts(interaction.user) || [];
+      choices = alerts
+        .filter(alert => !suspendedOnly || alert.status === 'suspended')
+        .map(alert => ({ name: describeAlert(alert).slice(0, 100), value: String(alert.id) }))
+        .filter(choice => choice.name.toLowerCase().includes(query));
+    }
+
+    await interaction.respond(choices.slice(0, MAX_CHOICES));
+  }
+
+  async function handleCreatePriceAlert(interaction) {
+    const itemId = interaction.options.getString('item');
+    const condition = interaction.options.getString('condition');
+    const target = interaction.options.getNumber('target');
+    const currency = interaction.options.getString('currency') || 'eth';
+    const minAmount = interaction.options.getInteger('min_amount');
+    const persistent = interaction.options.getBoolean('persistent') === true;
+
+    const items = await getItems();
+    const item = items.find(i => i.id === itemId);
+    if (!item) {
+      await interaction.reply({ content: '❌ Unknown item. Pick one from the list.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+    if (!(target > 0)) {
+      await interaction.reply({ content: '❌ Target must be greater than 0.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    const targetField = currency === 'usd' ? 'target_price_usd' : 'target_price_eth';
+    const selectedItem = { id: item.id, name: item.name, price_condition: condition, [targetField]: target };
+    if (minAmount) {
+      selectedItem.min_amount = minAmount;
+    }
+
+    const { error } = await supabase
+      .from('notification_alerts')
+      .insert({
+        alert_type: 'price_alert',
+        notification_channel: 'discord',
+        discord_username: interaction.user.username,
+        discord_user_id: interaction.user.id,
+        price_condition: condition,
+        [targetField]: target,
+        remove_after_trigger: !persistent,
+        item_ids: [selectedItem]
+      });
+
+    if (error) {
+      console.error('Error creating Discord price alert:', error);
+      await interaction.reply({ content: '❌ Failed to create alert. Please try again later.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    const targetText = currency === 'usd' ? `$${target.toFixed(2)}` : `Ξ${formatETH(target)}`;
+    await interaction.reply({
+      content: `✅ Price alert created: **${item.name}** ${condition} ${targetText}${persistent ? ' (persistent)' : ''}`,
+      flags: MessageFlags.Ephemeral
+    });
+    console.log(`[DISCORD] Price alert created by ${interaction.user.username}: ${item.name} ${condition} ${targetText}`);
+  }
+
+  // Helper: Wallet linked with /alerts wallet as { address (lowercase), verified }, or null
+  // verified: ownership was proven with /alerts verify
+  async function getLinkedWallet(user) {
+    const { data, error } = await userProfiles.findProfile('alert_profiles', profileOwner(user), 'wallet_address, wallet_verified_at');
+    if (error) {
+      console.error('Error loading Discord wallet:', error);
+      return null;
+    }
+    if (!data?.wallet_address) {
+      return null;
+    }
+    return { address: data.wallet_address.toLowerCase(), verified: Boolean(data.wallet_verified_at) };
+  }
+
+  async function handleCreatePnlAlert(interaction) {
+    const itemId = interaction.options.getString('item');
+    const condition = interaction.options.getString('condition');
+    const target = interaction.options.getNumber('target');
+    const unit = interaction.options.getString('unit') || 'usd';
+    const persistent = interaction.options.getBoolean('persistent') === true;
+
+    const items = await getItems();
+    const item = items.find(i => i.id === itemId);
+    if (!item) {
+      await interaction.reply({ content: '❌ Unknown item. Pick one from the list.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+    if (!await getLinkedWallet(interaction.user)) {
+      await interaction.reply({ content: '❌ Link your wallet first with `/alerts wallet`.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    const targetField = unit === 'percent' ? 'pnl_target_percent' : 'pnl_target_usd';
+    const { error } = await supabase
+      .from('notification_alerts')
+      .insert({
+        alert_type: 'pnl_alert',
+        notification_channel: 'discord',
+        discord_username: interaction.user.username,
+        discord_user_id: interaction.user.id,
+        remove_after_trigger: !persistent,
+        item_ids: [{ id: item.id, name: item.name, pnl_condition: condition, [targetField]: target }]
+      });
+
+    if (error) {
+      console.error('Error creating Discord P&L alert:', error);
+      await interaction.reply({ content: '❌ Failed to create alert. Please try again later.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    const targetText = unit === 'percent' ? `${target}%` : `${target < 0 ? '-' : ''}$${Math.abs(target).toFixed(2)}`;
+    await interaction.reply({
+      content: `✅ P&L alert created: **${item.name}** ${condition} ${targetText}${persistent ? ' (persistent)' : ''}`,
+      flags: MessageFlags.Ephemeral
+    });
+    console.log(`[DISCORD] P&L alert created by ${interaction.user.username}: ${item.name} ${condition} ${targetText}`);
+  }
+
+  async function handleCreateListingAlert(interaction) {
+    const itemId = interaction.options.getString('item');
+    const listingId = interaction.options.getString('listing');
+    const notify = interaction.options.getString('notify') || 'all_trade';
+
+    const [items, listings] = await Promise.all([getItems(), fetchListingsForItem(itemId)]);
+    const item = items.find(i => i.id === itemId);
+    const listing = listings.find(l => String(l.id) === listingId);
+    if (!item || !listing) {
+      await interaction.reply({ content: '❌ Listing not found for that item.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    // Only the seller may follow a listing's sales and undercuts, proven by a signature of the linked wallet
+    const wallet = await getLinkedWallet(interaction.user);
+    const listingOwner = String(listing.owner?.id || listing.owner || '').toLowerCase();
+    if (!wallet) {
+      await interaction.reply({ content: '❌ Link your wallet first with `/alerts wallet`.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+    if (!wallet.verified) {
+      await interaction.reply({ content: '❌ Prove you own your linked wallet first with `/alerts verify`.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+    if (listingOwner !== wallet.address) {
+      await interaction.reply({ content: '❌ That listing does not belong to your linked wallet.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    const amount = parseInt(listing.amount ?? listing.amountRemaining ?? 0, 10);
+    const remaining = parseInt(listing.amountRemaining ?? listing.amount ?? 0, 10);
+    const selectedListing = {
+      id: String(listing.id),
+      item_id: item.id,
+      item_name: item.name,
+      price: parseFloat(listing.pricePerItemETH ?? listing.price ?? 0),
+      amount,
+      last_remaining_amount: remaining,
+      notification_types: [notify],
+      status: 'active'
+    };
+    if (notify === 'undercut') {
+      // Owner lets the undercut check skip the user's other listings
+      selectedListing.owner_address = listingOwner;
+      selectedListing.min_undercut_percent = interaction.options.getNumber('min_undercut_pct') ?? 0;
+      selectedListing.min_undercut_quantity = interaction.options.getInteger('min_quantity') ?? 1;
+      selectedListing.renotify_deeper = interaction.options.getBoolean('renotify') ?? false;
+    }
+
+    const { error } = await supabase
+      .from('notification_alerts')
+      .insert({
+        alert_type: 'listing_alert',
+        notification_channel: 'discord',
+        discord_username: interaction.user.username,
+        discord_user_id: interaction.user.id,
+        listing_ids: [selectedListing]
+      });
+
+    if (error) {
+      console.error('Error creating Discord listing alert:', error);
+      await interaction.reply({ content: '❌ Failed to create alert. Please try again later.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    await interaction.reply({
+      content: `✅ Listing alert created: **${item.name}** ${remaining}x @ ${formatETH(selectedListing.price)} ETH`,
+      flags: MessageFlags.Ephemeral
+    });
+    console.log(`[DISCORD] Listing alert created by ${interaction.user.username}: ${item.name} listing ${listing.id}`);
+  }
+
+  async function handleListAlerts(interaction) {
+    const alerts = await getUserAlerts(interaction.user);
+    if (alerts === null) {
+      await interaction.reply({ content: '❌ Could not load your alerts. Please try again later.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+    if (alerts.length === 0) {
+      await interaction.reply({ content: 'You have no active alerts. Use `/alert price` to create one.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    const lines = alerts.slice(0, MAX_CHOICES).map((alert, index) => `${index + 1}. ${describeAlert(alert)}`);
+    if (alerts.length > MAX_CHOICES) {
+      lines.push(`...and ${alerts.length - MAX_CHOICES} more`);
+    }
+    const embed = new EmbedBuilder()
+      .setTitle(`🔔 Your alerts (${alerts.length})`)
+      .setDescription(lines.join('\n'))
+      .setColor(0x06b6d4);
+
+    await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+  }
+
+  async function handleHistory(interaction) {
+    const { data: entries, error } = await supabase
+      .from('notification_log')
+      .select('alert_type, status, message, created_at')
+      .or(ownerFilter(profileOwner(interaction.user)))
+      .neq('status', 'pending')
+      .order('created_at', { ascending: false })
+      .limit(HISTORY_LIMIT);
+
+    if (error) {
+      console.error('Error fetching Discord notification history:', error);
+      await interaction.reply({ content: '❌ Could not load your history. Please try again later.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+    if (!entries || entries.length === 0) {
+      await interaction.reply({ content: 'No notifications yet.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    const lines = entries.map(entry => {
+      const timestamp = Math.floor(new Date(entry.created_at).getTime() / 1000);
+      const status = entry.status === 'sent' ? '' : ` (${entry.status})`;
+      return `<t:${timestamp}:R> ${summarizeNotification(entry.message) || entry.alert_type}${status}`;
+    });
+    const embed = new EmbedBuilder()
+      .setTitle('📜 Recent notifications')
+      .setDescription(lines.join('\n'))
+      .setColor(0x06b6d4);
+
+    await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+  }
+
+  async function handleRemoveAlert(interaction) {
+    const alertId = interaction.options.getString('alert');
+    const { data, error } = await supabase
+      .from('notification_alerts')
+      .delete()
+      .eq('id', alertId)
+      .or(ownerFilter(profileOwner(interaction.user)))
+      .select('id');
+
+    if (error) {
+      console.error('Error removing Discord alert:', error);
+      await interaction.reply({ content: '❌ Failed to remove alert. Please try again later.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+    if (!data || data.length === 0) {
+      await interaction.reply({ content: '❌ Alert not found.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    await interaction.reply({ content: '🗑 Alert removed.', flags: MessageFlags.Ephemeral });
+    console.log(`[DISCORD] Alert ${alertId} removed by ${interaction.user.username}`);
+  }
+
+  async function handleResumeAlert(interaction) {
+    const alertId = interaction.options.getString('alert');
+    const { data, error } = await supabase
+      .from('notification_alerts')
+      .update({ status: null, suspended_at: null, delivery_failures: 0 })
+      .eq('id', alertId)
+      .eq('status', 'suspended')
+      .or(ownerFilter(profileOwner(interaction.user)))
+      .select('id');
+
+    if (error) {
+      console.error('Error resuming Discord alert:', error);
+      await interaction.reply({ content: '❌ Failed to resume alert. Please try again later.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+    if (!data || data.length === 0) {
+      await interaction.reply({ content: '❌ Suspended alert not found.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    await interaction.reply({ content: '▶️ Alert resumed.', flags: MessageFlags.Ephemeral });
+    console.log(`[DISCORD] Alert ${alertId} resumed by ${interaction.user.username}`);
+  }
+
+  async function handleLinkWallet(interaction) {
+    const address = interaction.options.getString('address').trim();
+    const dailySummary = interaction.options.getBoolean('daily_summary');
+    if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+      await interaction.reply({ content: '❌ That does not look like a wallet address (0x…40 hex characters).', flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    const previous = await getLinkedWallet(interaction.user);
+    const profile = { wallet_address: address.toLowerCase() };
+    if (previous?.address !== profile.wallet_address) {
+      profile.wallet_verified_at = null; // a new address has to be verified again
+    }
+    if (dailySummary !== null) {
+      profile.daily_pnl_summary = dailySummary;
+      profile.notification_channel = 'discord';
+    }
+
+    const { error } = await userProfiles.saveProfile('alert_profiles', profileOwner(interaction.user), profile);
+
+    if (error) {
+      console.error('Error linking Discord wallet:', error);
+      await interaction.reply({ content: '❌ Failed to link wallet. Please try again later.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    const verified = previous?.address === profile.wallet_address && previous.verified;
+    const verifyHint = !verified
+      ? `\nFor listing alerts, sign this message with the wallet and send the signature with \`/alerts verify\`:\n\`${getWalletProofMessage(interaction.user.id, profile.wallet_address)}\``
+      : '';
+    await interaction.reply({
+      content: `✅ Wallet linked: ${profile.wallet_address}${dailySummary ? ' (daily P&L summary on)' : ''}${verifyHint}`,
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
+  async function handleVerifyWallet(interaction) {
+    const signature = interaction.options.getString('signature').trim();
+    const wallet = await getLinkedWallet(interaction.user);
+    if (!wallet) {
+      await interaction.reply({ content: '❌ Link your wallet first with `/alerts wallet`.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    let signer = null;
+    try {
+      signer = ethers.verifyMessage(getWalletProofMessage(interaction.user.id, wallet.address), signature).toLowerCase();
+    } catch {
+      // Malformed signature, reported below
+    }
+    if (signer !== wallet.address) {
+      await interaction.reply({ content: '❌ That signature was not made by your linked wallet for this message.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    const { error } = await userProfiles.saveProfile('alert_profiles', profileOwner(interaction.user), {
+      wallet_address: wallet.address,
+      wallet_verified_at: new Date().toISOString()
+    });
+
+    if (error) {
+      console.error('Error verifying Discord wallet:', error);
+      await interaction.reply({ content: '❌ Failed to verify wallet. Please try again later.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    await interaction.reply({ content: `✅ Wallet verified: ${wallet.address}`, flags: MessageFlags.Ephemeral });
+    console.log(`[DISCORD] Wallet ${wallet.address} verified by ${interaction.user.username}`);
+  }
+
+  async function handleDigest(interaction) {
+    const frequency = interaction.options.getString('frequency');
+    const hour = interaction.options.getInteger('hour') ?? 9;
+    const timezone = interaction.options.getString('timezone') || 'UTC';
+    const weekday = interaction.options.getInteger('weekday') ?? 1;
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch {
+      await interaction.reply({ content: '❌ Unknown timezone. Use an IANA name like Europe/Berlin.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    const { error } = await userProfiles.saveProfile('digest_preferences', profileOwner(interaction.user), {
+      notification_channel: 'discord',
+      frequency,
+      hour,
+      timezone,
+      weekday
+    });
+
+    if (error) {
+      console.error('Error saving digest preference:', error);
+      await interaction.reply({ content: '❌ Failed to save digest settings. Please try again later.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    const when = frequency === 'weekly' ? `every ${WEEKDAY_CHOICES[weekday].name} at ${hour}:00` : `daily at ${hour}:00`;
+    await interaction.reply({
+      content: frequency === 'off' ? '🔕 Digest disabled.' : `✅ Digest scheduled ${when} (${timezone}). Needs a linked wallet (\`/alerts wallet\`).`,
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
+  async function handleLink(interaction) {
+    const code = interaction.options.getString('code').trim();
+    const result = await redeemLinkCode(code, {
+      platform: 'discord',
+      userId: interaction.user.id,
+      username: interaction.user.username
+    });
+
+    await interaction.reply({
+      content: result.ok
+        ? '✅ Discord linked to your Juiced account. Alerts will reach you even if you change your username.'
+        : `❌ ${result.reason}`,
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
+  client.once('ready', async () => {
+    try {
+      const body = commands.map(command => command.toJSON());
+      if (GUILD_ID) {
+        await client.application.commands.set(body, GUILD_ID);
+      } else {
+        await client.application.commands.set(body);
+      }
+      console.log(`✅ Discord slash commands registered (${body.length})`);
+    } catch (error) {
+      console.error('❌ Failed to register Discord slash commands:', error.message);
+    }
+  });
+
+  client.on('interactionCreate', async (interaction) => {
+    try {
+      if (interaction.isAutocomplete()) {
+        await handleAutocomplete(interaction);
+        return;
+      }
+      if (!interaction.isChatInputCommand()) return;
+
+      if (interaction.commandName === 'link') {
+        await handleLink(interaction);
+        return;
+      }
+
+      const key = `${interaction.commandName} ${interaction.options.getSubcommand()}`;
+      switch (key) {
+        case 'alert price':
+          await handleCreatePriceAlert(interaction);
+          break;
+        case 'alert listing':
+          await handleCreateListingAlert(interaction);
+          break;
+        case 'alert pnl':
+          await handleCreatePnlAlert(interaction);
+          break;
+        case 'alerts list':
+          await handleListAlerts(interaction);
+          break;
+        case 'alerts history':
+          await handleHistory(interaction);
+          break;
+        case 'alerts remove':
+          await handleRemoveAlert(interaction);
+          break;
+        case 'alerts resume':
+          await handleResumeAlert(interaction);
+          break;
+        case 'alerts wallet':
+          await handleLinkWallet(interaction);
+          break;
+        case 'alerts verify':
+          await handleVerifyWallet(interaction);
+          break;
+        case 'alerts digest':
+          await handleDigest(interaction);
+          break;
+      }
+    } catch (error) {
+      console.error('Error handling Discord interaction:', error.message);
+      if (interaction.isRepliable() && !interaction.replied) {
+        await interaction.reply({ content: '❌ Something went wrong.', flags: MessageFlags.Ephemeral }).catch(() => {});
+      }
+    }
+  });
+}
+
+module.exports = initDiscordCommands;
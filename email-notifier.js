@@ -0,0 +1,275 @@
+// Email (SMTP) Notifier
+// Sends HTML renditions of alert messages with the item icon inline and an unsubscribe link.
+// The link opens a confirmation page; only the POST from that page (or an RFC 8058 one-click POST from the
+// mail client) removes the email channel, so link scanners and prefetchers cannot unsubscribe anyone.
+
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+const SMTP_HOST = process.env.SMTP_HOST;
+const SMTP_PORT = parseInt(process.env.SMTP_PORT || '587', 10);
+const SMTP_SECURE = process.env.SMTP_SECURE === 'true';
+const SMTP_USER = process.env.SMTP_USER;
+const SMTP_PASS = process.env.SMTP_PASS;
+const SMTP_FROM = process.env.SMTP_FROM || 'Juiced Alerts <alerts@juiced.sh>';
+const EMAIL_UNSUBSCRIBE_SECRET = process.env.EMAIL_UNSUBSCRIBE_SECRET || '';
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, ''); // Public URL of the HTTP server (unsubscribe links)
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Chat-style markdown (**bold**, newlines) to HTML
+function markdownToHtml(text) {
+  return escapeHtml(text)
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/\n/g, '<br>');
+}
+
+// Chat-style markdown to plain text (multipart fallback)
+function markdownToText(text) {
+  return String(text).replace(/\*\*(.+?)\*\*/g, '$1');
+}
+
+function getUnsubscribeToken(alertId) {
+  return crypto.createHmac('sha256', EMAIL_UNSUBSCRIBE_SECRET).update(String(alertId)).digest('hex');
+}
+
+function isValidUnsubscribeToken(alertId, token) {
+  if (!EMAIL_UNSUBSCRIBE_SECRET || !alertId || typeof token !== 'string') return false;
+  const expected = Buffer.from(getUnsubscribeToken(alertId));
+  const given = Buffer.from(token);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+function renderPage(bodyHtml) {
+  return `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;font-family:Arial,Helvetica,sans-serif;">
+    ${bodyHtml}
+  </body>
+</html>`;
+}
+
+function renderEmailHtml({ message, fields, color, imageSrc, unsubscribeUrl }) {
+  const [title, ...bodyLines] = message.split('\n');
+  const hexColor = `#${color.toString(16).padStart(6, '0')}`;
+  const fieldsHtml = (fields || [])
+    .map(field => `
+        <tr><td style="padding:8px 0 0 0;font-weight:bold;">${markdownToHtml(field.name)}</td></tr>
+        <tr><td style="padding:0 0 8px 0;">${markdownToHtml(field.value)}</td></tr>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#0f172a;font-family:Arial,Helvetica,sans-serif;color:#e2e8f0;">
+    <table role="presentation" width="100%" style="max-width:560px;margin:0 auto;background:#1e293b;border-left:4px solid ${hexColor};border-radius:6px;">
+      <tr><td style="padding:20px 24px 8px 24px;font-size:18px;">${markdownToHtml(title)}</td></tr>
+      <tr><td style="padding:0 24px 16px 24px;font-size:14px;line-height:1.5;">
+        ${markdownToHtml(bodyLines.join('\n'))}
+        ${fieldsHtml ? `<table role="presentation" width="100%">${fieldsHtml}</table>` : ''}
+      </td></tr>
+      ${imageSrc ? `<tr><td style="padding:0 24px 20px 24px;"><img src="${escapeHtml(imageSrc)}" alt="" style="max-width:100%;border-radius:4px;"></td></tr>` : ''}
+    </table>
+    <p style="max-width:560px;margin:16px auto 0 auto;font-size:12px;color:#94a3b8;text-align:center;">
+      Sent by Juiced Alerts - <a href="${escapeHtml(unsubscribeUrl)}" style="color:#94a3b8;">unsubscribe from this alert</a>
+    </p>
+  </body>
+</html>`;
+}
+
+// Create the email notifier (registered as the 'email' channel) and its unsubscribe handler
+function createEmailNotifier({ supabase, getTelegramIconPayload, getConditionColor }) {
+  // Every mail carries an unsubscribe link, so email stays off until the link can work
+  const enabled = Boolean(SMTP_HOST && PUBLIC_BASE_URL && EMAIL_UNSUBSCRIBE_SECRET);
+  const transporter = enabled
+    ? nodemailer.createTransport({
+        host: SMTP_HOST,
+        port: SMTP_PORT,
+        secure: SMTP_SECURE,
+        auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined
+      })
+    : null;
+
+  if (!SMTP_HOST) {
+    console.warn('⚠️ SMTP_HOST not found - email notifications disabled');
+  } else if (!PUBLIC_BASE_URL) {
+    console.warn('⚠️ PUBLIC_BASE_URL not found - email notifications disabled (unsubscribe links need it)');
+  } else if (!EMAIL_UNSUBSCRIBE_SECRET) {
+    console.warn('⚠️ EMAIL_UNSUBSCRIBE_SECRET not found - email notifications disabled (unsubscribe links need it)');
+  }
+
+  async function send(alert, notification) {
+    if (!transporter) {
+      console.error('[EMAIL] SMTP not configured');
+      return false;
+    }
+
+    const unsubscribeUrl = `${PUBLIC_BASE_URL}/unsubscribe?alert=${encodeURIComponent(alert.id)}&token=${getUnsubscribeToken(alert.id)}`;
+    const attachments = [];
+    let imageSrc = null;
+
+    if (notification.itemId) {
+      const payload = await getTelegramIconPayload(notification.itemId, notification.condition);
+      if (payload.type === 'buffer') {
+        const cid = `icon-${notification.itemId}@juiced`;
+        attachments.push({ filename: `icon-${notification.itemId}.png`, content: payload.value, cid, contentType: 'image/png' });
+        imageSrc = `cid:${cid}`;
+      } else {
+        imageSrc = payload.value;
+      }
+    }
+
+    const [subjectLine] = markdownToText(notification.message).split('\n');
+    const fieldsText = (notification.fields || []).map(field => `${markdownToText(field.name)}\n${markdownToText(field.value)}`);
+
+    try {
+      await transporter.sendMail({
+        from: SMTP_FROM,
+        to: alert.email_address,
+        subject: subjectLine.replace(/[^\p{L}\p{N}\s&$.%+-]/gu, '').trim() || 'Juiced Alert',
+        text: [markdownToText(notification.message), ...fieldsText, `Unsubscribe: ${unsubscribeUrl}`].join('\n\n'),
+        html: renderEmailHtml({
+          message: notification.message,
+          fields: notification.fields,
+          color: getConditionColor(notification.condition),
+          imageSrc,
+          unsubscribeUrl
+        }),
+        attachments,
+        headers: {
+          'List-Unsubscribe': `<${unsubscribeUrl}>`,
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        }
+      });
+      console.log(`[EMAIL] ✅ Sent alert ${alert.id} to ${alert.email_address}`);
+      return true;
+    } catch (error) {
+      console.error(`[EMAIL] ❌ Failed to send alert ${alert.id} to ${alert.email_address}:`, error.message);
+      return false;
+    }
+  }
+
+  function sendPage(res, status, bodyHtml) {
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(renderPage(bodyHtml));
+  }
+
+  // GET /unsubscribe?alert=<id>&token=<hmac> - confirmation page, changes nothing
+  async function handleUnsubscribePage(req, res, url) {
+    const alertId = url.searchParams.get('alert');
+    const token = url.searchParams.get('token');
+
+    if (!isValidUnsubscribeToken(alertId, token)) {
+      sendPage(res, 400, '<p>Invalid unsubscribe link.</p>');
+      return;
+    }
+
+    const action = `/unsubscribe?alert=${encodeURIComponent(alertId)}&token=${encodeURIComponent(token)}`;
+    sendPage(res, 200, `<p>Stop email notifications for this alert? Notifications on your other channels are not affected.</p>
+    <form method="post" action="${escapeHtml(action)}"><button type="submit">Unsubscribe</button></form>`);
+  }
+
+  // POST /unsubscribe?alert=<id>&token=<hmac> - removes the email channel from the alert; an alert that
+  // only notified by email is disabled instead
+  // Retries still queued for the alert must not email the address after it unsubscribed: email is removed from
+  // their channels, and rows left without a channel are cancelled
+  async function dropQueuedEmails(alertId) {
+    const { data: rows, error } = await supabase
+      .from('notification_queue')
+      .select('id, alert_snapshot')
+      .eq('alert_id', alertId)
+      .eq('status', 'pending');
+
+    if (error) {
+      console.error(`[EMAIL] Failed to load queued notifications of alert ${alertId}:`, error);
+      return;
+    }
+
+    for (const row of rows || []) {
+      const snapshot = row.alert_snapshot || {};
+      const channels = Array.isArray(snapshot.notification_channels) && snapshot.notification_channels.length > 0
+        ? snapshot.notification_channels
+        : [snapshot.notification_channel || 'discord'];
+      if (!channels.includes('email')) continue;
+
+      const remaining = channels.filter(channel => channel !== 'email');
+      const update = remaining.length > 0
+        ? { alert_snapshot: { ...snapshot, notification_channels: remaining, notification_channel: remaining[0], email_address: null } }
+        : { status: 'cancelled' };
+      const { error: updateError } = await supabase
+        .from('notification_queue')
+        .update(update)
+        .eq('id', row.id)
+        .eq('status', 'pending');
+
+      if (updateError) {
+        console.error(`[EMAIL] Failed to drop queued email ${row.id} of alert ${alertId}:`, updateError);
+      }
+    }
+  }
+
+  async function handleUnsubscribe(req, res, url) {
+    const alertId = url.searchParams.get('alert');
+    const token = url.searchParams.get('token');
+
+    if (!isValidUnsubscribeToken(alertId, token)) {
+      sendPage(res, 400, '<p>Invalid unsubscribe link.</p>');
+      return;
+    }
+
+    const { data: alert, error: loadError } = await supabase
+      .from('notification_alerts')
+      .select('id, notification_channel, notification_channels')
+      .eq('id', alertId)
+      .maybeSingle();
+
+    if (loadError) {
+      console.error(`[EMAIL] Failed to load alert ${alertId} for unsubscribe:`, loadError);
+      sendPage(res, 500, '<p>Something went wrong, please try again later.</p>');
+      return;
+    }
+    if (!alert) {
+      sendPage(res, 200, '<p>You have been unsubscribed.</p>');
+      return;
+    }
+
+    const channels = Array.isArray(alert.notification_channels) && alert.notification_channels.length > 0
+      ? alert.notification_channels
+      : [alert.notification_channel || 'discord'];
+    const remaining = channels.filter(channel => channel !== 'email');
+    const update = remaining.length > 0
+      ? { notification_channels: remaining, notification_channel: remaining[0], email_address: null }
+      : { status: 'disabled' };
+
+    const { error } = await supabase
+      .from('notification_alerts')
+      .update(update)
+      .eq('id', alertId);
+
+    if (error) {
+      console.error(`[EMAIL] Failed to unsubscribe alert ${alertId}:`, error);
+      sendPage(res, 500, '<p>Something went wrong, please try again later.</p>');
+      return;
+    }
+
+    await dropQueuedEmails(alertId);
+    console.log(`[EMAIL] Alert ${alertId} unsubscribed from email (${remaining.length > 0 ? `now ${remaining.join('+')}` : 'disabled'})`);
+    sendPage(res, 200, '<p>You have been unsubscribed. This alert will no longer send you email.</p>');
+  }
+
+  return {
+    notifier: {
+      getRecipient: (alert) => (alert.email_address ? alert : null),
+      send
+    },
+    handleUnsubscribePage,
+    handleUnsubscribe
+  };
+}
+
+module.exports = createEmailNotifier;
@@ -0,0 +1,47 @@
+// Listing Fills
+// Attribution of a listing's transfers for listing alerts: transfers out of a listing are fills (to a buyer)
+// or the cancellation return (back to the owner). Fills are announced once, tracked by transfer id in the
+// alert's listing entry (seen_transfer_ids).
+
+// Transfer ids are tx-hash based, so order chronologically by block and log index
+function sortTransfers(transfers) {
+  return (transfers || []).slice().sort((a, b) =>
+    (parseInt(a.blockNumber, 10) - parseInt(b.blockNumber, 10)) || (parseInt(a.logIndex, 10) - parseInt(b.logIndex, 10))
+  );
+}
+
+// Listings tracked before transfer ids were stored get a baseline: the most recent fills covering
+// last_remaining_amount - amountRemaining are new, earlier ones were already announced
+function getBaselineTransferIds(fills, selectedListing, currentRemaining) {
+  const lastKnownRemaining = selectedListing.last_remaining_amount ?? selectedListing.amount ?? 0;
+  let unannounced = Math.max(0, lastKnownRemaining - currentRemaining);
+  const baseline = [];
+  for (let k = fills.length - 1; k >= 0; k--) {
+    if (unannounced > 0) {
+      unannounced -= parseInt(fills[k].amount || 0, 10);
+    } else {
+      baseline.push(fills[k].id);
+    }
+  }
+  return baseline;
+}
+
+// Split a subgraph listing's transfers for the tracked listing entry:
+// { fills, newFills, returnedToOwner, currentRemaining, seenTransferIds }
+function getListingFills(listing, selectedListing) {
+  const ownerId = listing.owner?.id?.toLowerCase();
+  const transfers = sortTransfers(listing.transfers);
+  const fills = transfers.filter(transfer => transfer.transferredTo?.id?.toLowerCase() !== ownerId);
+  const returnedToOwner = transfers.some(transfer => transfer.transferredTo?.id?.toLowerCase() === ownerId);
+  const currentRemaining = parseInt(listing.amountRemaining || 0, 10);
+
+  const seenTransferIds = Array.isArray(selectedListing.seen_transfer_ids)
+    ? selectedListing.seen_transfer_ids
+    : getBaselineTransferIds(fills, selectedListing, currentRemaining);
+  const seen = new Set(seenTransferIds);
+  const newFills = fills.filter(fill => !seen.has(fill.id));
+
+  return { fills, newFills, returnedToOwner, currentRemaining, seenTransferIds };
+}
+
+module.exports = { getListingFills };
@@ -0,0 +1,224 @@
+// Marketplace Data Client
+// One access layer for the Juiced API, the gigaverse.io marketplace API and the subgraph:
+// response caching, coalescing of identical in-flight requests, per-host rate limits,
+// timeouts and retries with jittered exponential backoff
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.MARKETPLACE_TIMEOUT_MS || '15000', 10);
+const MAX_RETRIES = parseInt(process.env.MARKETPLACE_MAX_RETRIES || '2', 10);
+const RETRY_BASE_DELAY_MS = parseInt(process.env.MARKETPLACE_RETRY_BASE_DELAY_MS || '500', 10);
+const MAX_RETRY_AFTER_MS = 30000;
+const DEFAULT_HOST_RATE = parseFloat(process.env.MARKETPLACE_HOST_RATE || '5'); // requests per second
+
+// Response TTLs
+const FLOOR_TTL_MS = 30 * 1000;
+const ORDERBOOK_TTL_MS = 15 * 1000;
+const LISTINGS_TTL_MS = 15 * 1000;
+const USER_DATA_TTL_MS = 60 * 1000;
+const ITEMS_TTL_MS = 10 * 60 * 1000;
+const CACHE_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+const GIGAVERSE_BASE_URL = 'https://gigaverse.io';
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Per-host overrides, e.g. MARKETPLACE_HOST_RATES="gigaverse.io=2,api.example.com=10"
+function parseHostRates(value) {
+  const rates = new Map();
+  (value || '').split(',').forEach(entry => {
+    const [host, rate] = entry.split('=').map(part => part && part.trim());
+    if (host && parseFloat(rate) > 0) rates.set(host, parseFloat(rate));
+  });
+  return rates;
+}
+
+// Network failures and timeouts are retried; a cancelled monitoring cycle is not
+function isRetryableError(error) {
+  return error.name === 'TimeoutError' || error instanceof TypeError;
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+class HttpError extends Error {
+  constructor(status, url) {
+    super(`HTTP ${status} from ${url}`);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+// Create the client
+// request(upstream, url, options) -> Response lets the caller add metrics/cancellation (defaults to fetch)
+// appVersion is sent as X-App-Version to the Juiced API
+function createMarketplaceClient({
+  apiBaseUrl,
+  subgraphUrl,
+  appVersion,
+  gigaverseBaseUrl = GIGAVERSE_BASE_URL,
+  request = (upstream, url, options) => fetch(url, options)
+}) {
+  const hostRates = parseHostRates(process.env.MARKETPLACE_HOST_RATES);
+  const nextSlotByHost = new Map(); // host -> earliest time the next request may start
+  const cache = new Map(); // key -> { expiresAt, value }
+  const inFlight = new Map(); // key -> Promise
+
+  const sweepInterval = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of cache) {
+      if (entry.expiresAt <= now) cache.delete(key);
+    }
+  }, CACHE_SWEEP_INTERVAL_MS);
+  sweepInterval.unref();
+
+  // Space requests to one host at least 1/rate seconds apart
+  async function waitForHostSlot(host) {
+    const interval = 1000 / (hostRates.get(host) || DEFAULT_HOST_RATE);
+    const now = Date.now();
+    const slot = Math.max(now, nextSlotByHost.get(host) || 0);
+    nextSlotByHost.set(host, slot + interval);
+    if (slot > now) {
+      await sleep(slot - now);
+    }
+  }
+
+  async function fetchWithRetry(upstream, url, options) {
+    const host = new URL(url).host;
+    let attempt = 0;
+
+    while (true) {
+      await waitForHostSlot(host);
+      let retryAfterMs = null;
+      try {
+        const response = await request(upstream, url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+        if (response.ok) {
+          return await response.json();
+        }
+        if (!isRetryableStatus(response.status) || attempt >= MAX_RETRIES) {
+          throw new HttpError(response.status, url);
+        }
+        const retryAfter = parseFloat(response.headers.get('retry-after'));
+        if (retryAfter > 0) retryAfterMs = Math.min(retryAfter * 1000, MAX_RETRY_AFTER_MS);
+      } catch (error) {
+        if (error instanceof HttpError || !isRetryableError(error) || attempt >= MAX_RETRIES) {
+          throw error;
+        }
+      }
+
+      attempt++;
+      // Full jitter: random delay up to base * 2^attempt
+      const delay = retryAfterMs ?? Math.floor(Math.random() * RETRY_BASE_DELAY_MS * 2 ** attempt);
+      await sleep(delay);
+    }
+  }
+
+  // GET/POST JSON with caching (ttlMs > 0) and coalescing of identical concurrent requests
+  // fresh skips the cached value (the response still refreshes the cache)
+  async function requestJson(upstream, url, { method = 'GET', headers = {}, body, ttlMs = 0, fresh = false } = {}) {
+    const key = `${method} ${url} ${body || ''}`;
+    const cached = cache.get(key);
+    if (!fresh && cached && cached.expiresAt > Date.now()) {
+      return cached.value;
+    }
+    if (inFlight.has(key)) {
+      return inFlight.get(key);
+    }
+
+    const promise = fetchWithRetry(upstream, url, { method, headers, body })
+      .then(value => {
+        if (ttlMs > 0) {
+          cache.set(key, { expiresAt: Date.now() + ttlMs, value });
+        }
+        return value;
+      })
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+    return promise;
+  }
+
+  function api(path, ttlMs, fresh = false) {
+    return requestJson('juiced_api', `${apiBaseUrl}${path}`, { headers: { 'X-App-Version': appVersion }, ttlMs, fresh });
+  }
+
+  // Raw floor entities ({ GAME_ITEM_ID_CID, ETH_MINT_PRICE_CID, ... })
+  // { fresh: true } bypasses the cache, for re-checks triggered by an on-chain change
+  async function getFloorEntities({ fresh = false } = {}) {
+    const data = await requestJson('gigaverse', `${gigaverseBaseUrl}/api/marketplace/item/floor/all`, { ttlMs: FLOOR_TTL_MS, fresh });
+    return data.entities || [];
+  }
+
+  // itemId string -> floor price in ETH
+  async function getFloorPriceLookup() {
+    const lookup = new Map();
+    (await getFloorEntities()).forEach(item => {
+      if (item.GAME_ITEM_ID_CID && item.ETH_MINT_PRICE_CID) {
+        lookup.set(String(item.GAME_ITEM_ID_CID), parseFloat(item.ETH_MINT_PRICE_CID) / 1e18);
+      }
+    });
+    return lookup;
+  }
+
+  // { asks, bids }: asks sorted lowest first, bids highest first ({ fresh: true } bypasses the cache)
+  async function getOrderbook(itemId, { fresh = false } = {}) {
+    const data = await api(`/api/orderbook/${itemId}`, ORDERBOOK_TTL_MS, fresh);
+    return {
+      asks: (data.asks || []).slice().sort((a, b) => a.price - b.price),
+      bids: (data.bids || []).slice().sort((a, b) => b.price - a.price)
+    };
+  }
+
+  async function getListings(itemId) {
+    return (await api(`/api/listings?itemId=${itemId}`, LISTINGS_TTL_MS)) || [];
+  }
+
+  async function getUserPositions(address) {
+    const data = await api(`/api/user-pnl/${address}`, USER_DATA_TTL_MS);
+    return data.positions || [];
+  }
+
+  // itemId string -> balance (positive balances only)
+  async function getUserBalances(address) {
+    const data = await requestJson('gigaverse', `${gigaverseBaseUrl}/api/importexport/balances/${address}`, { ttlMs: USER_DATA_TTL_MS });
+    const balances = new Map();
+    (data.entities || []).forEach(i => {
+      const balance = parseInt(i.BALANCE_CID);
+      if (balance > 0) balances.set(String(i.ID_CID), balance);
+    });
+    return balances;
+  }
+
+  async function getItemIds() {
+    return api('/api/items', ITEMS_TTL_MS);
+  }
+
+  async function getItemDetails() {
+    return api('/api/item-details', ITEMS_TTL_MS);
+  }
+
+  // Subgraph results are never cached (callers compare them against stored state), only coalesced
+  async function querySubgraph(query, variables = {}) {
+    const result = await requestJson('subgraph', subgraphUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ query, variables })
+    });
+    if (result.errors) throw new Error(result.errors[0].message);
+    return result.data;
+  }
+
+  return {
+    getFloorEntities,
+    getFloorPriceLookup,
+    getOrderbook,
+    getListings,
+    getUserPositions,
+    getUserBalances,
+    getItemIds,
+    getItemDetails,
+    querySubgraph
+  };
+}
+
+module.exports = createMarketplaceClient;
@@ -0,0 +1,88 @@
+// Prometheus Metrics
+// Minimal in-process registry rendered in the Prometheus text exposition format
+
+const registry = new Map(); // name -> { type, help, series: Map(labelKey -> { labels, value }) }
+const collectors = []; // refresh gauges that are read on demand (connection state, memory)
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function register(name, type, help) {
+  if (!registry.has(name)) {
+    registry.set(name, { type, help, series: new Map() });
+  }
+  return registry.get(name);
+}
+
+function getSeries(metric, labels) {
+  const key = formatLabels(labels);
+  if (!metric.series.has(key)) {
+    metric.series.set(key, { labels, value: 0 });
+  }
+  return metric.series.get(key);
+}
+
+function createCounter(name, help) {
+  const metric = register(name, 'counter', help);
+  return {
+    inc: (labels = {}, value = 1) => { getSeries(metric, labels).value += value; }
+  };
+}
+
+function createGauge(name, help) {
+  const metric = register(name, 'gauge', help);
+  return {
+    set: (labels = {}, value) => { getSeries(metric, labels).value = value; },
+    inc: (labels = {}, value = 1) => { getSeries(metric, labels).value += value; }
+  };
+}
+
+// Summary without quantiles: exposes <name>_sum and <name>_count
+function createSummary(name, help) {
+  const sum = register(`${name}_sum`, 'summary', help);
+  const count = register(`${name}_count`, 'summary', help);
+  return {
+    observe: (labels = {}, value) => {
+      getSeries(sum, labels).value += value;
+      getSeries(count, labels).value += 1;
+    }
+  };
+}
+
+function addCollector(collect) {
+  collectors.push(collect);
+}
+
+function renderMetrics() {
+  collectors.forEach(collect => {
+    try {
+      collect();
+    } catch (error) {
+      console.error('[METRICS] Collector failed:', error.message);
+    }
+  });
+
+  const lines = [];
+  const described = new Set();
+  for (const [name, metric] of registry) {
+    // _sum/_count of a summary share one HELP/TYPE block under the base name
+    const baseName = metric.type === 'summary' ? name.replace(/_(sum|count)$/, '') : name;
+    if (!described.has(baseName)) {
+      lines.push(`# HELP ${baseName} ${metric.help}`, `# TYPE ${baseName} ${metric.type}`);
+      described.add(baseName);
+    }
+    for (const { labels, value } of metric.series.values()) {
+      lines.push(`${name}${formatLabels(labels)} ${value}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { createCounter, createGauge, createSummary, addCollector, renderMetrics };
@@ -0,0 +1,116 @@
+// Notification Log
+// One notification_log row per trigger, keyed by (alert id, item/listing id, trigger fingerprint) where the
+// fingerprint hashes the alert state the trigger was derived from. The row is written as 'pending' before
+// sending and checked first, so a trigger whose alert state update failed afterwards is not re-announced
+// next cycle. It then moves to 'sent', 'queued' (retry queue) or 'failed', and doubles as the user's alert history.
+// Columns: idempotency_key (unique), alert_id, target_id, fingerprint, alert_type, status, message,
+// channel_results, discord_user_id, discord_username, telegram_chat_id, telegram_username, worker_id, created_at, sent_at
+
+const crypto = require('crypto');
+
+const NOTIFICATION_CLAIM_STALE_MS = parseInt(process.env.NOTIFICATION_CLAIM_STALE_MS || String(15 * 60 * 1000), 10);
+const LOG_OWNER_FIELDS = ['discord_user_id', 'discord_username', 'telegram_chat_id', 'telegram_username'];
+
+// Short stable hash of the state a trigger was derived from
+function getFingerprint(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex').slice(0, 16);
+}
+
+function getIdempotencyKey({ alertId = null, targetId = null, fingerprint }) {
+  return [alertId ?? '-', targetId ?? '-', fingerprint].join(':');
+}
+
+// Create the notification log helpers; workerId marks which instance holds a claim
+function createNotificationLog(supabase, { workerId }) {
+  // A 'pending' claim older than NOTIFICATION_CLAIM_STALE_MS belongs to a worker that died mid-send; take it over
+  async function takeOverStaleClaim(idempotencyKey) {
+    const { data: existing, error } = await supabase
+      .from('notification_log')
+      .select('status, created_at')
+      .eq('idempotency_key', idempotencyKey)
+      .maybeSingle();
+
+    if (error || !existing || existing.status !== 'pending') return false;
+    if (Date.now() - new Date(existing.created_at).getTime() < NOTIFICATION_CLAIM_STALE_MS) return false;
+
+    const { data: taken } = await supabase
+      .from('notification_log')
+      .update({ worker_id: workerId, created_at: new Date().toISOString() })
+      .eq('idempotency_key', idempotencyKey)
+      .eq('status', 'pending')
+      .eq('created_at', existing.created_at)
+      .select('idempotency_key');
+
+    return Boolean(taken && taken.length > 0);
+  }
+
+  // Claim a trigger before sending it: claim = { alertId, targetId, fingerprint, alertType, owner }
+  // (owner: alert or profile row the recipient fields are copied from, for the history)
+  // Returns false if it was already claimed. Storage errors fail open: a rare duplicate beats a lost alert.
+  async function claimNotification(claim) {
+    const idempotencyKey = getIdempotencyKey(claim);
+    const owner = {};
+    LOG_OWNER_FIELDS.forEach(field => {
+      if (claim.owner?.[field] != null) owner[field] = claim.owner[field];
+    });
+
+    const { error } = await supabase
+      .from('notification_log')
+      .insert({
+        idempotency_key: idempotencyKey,
+        alert_id: claim.alertId ?? null,
+        target_id: claim.targetId != null ? String(claim.targetId) : null,
+        fingerprint: claim.fingerprint,
+        alert_type: claim.alertType || null,
+        status: 'pending',
+        ...owner,
+        worker_id: workerId,
+        created_at: new Date().toISOString()
+      });
+
+    if (!error) return true;
+    if (error.code === '23505') {
+      if (await takeOverStaleClaim(idempotencyKey)) {
+        console.warn(`[NOTIFICATION LOG] Took over stale claim ${idempotencyKey}`);
+        return true;
+      }
+      console.log(`[NOTIFICATION LOG] ${idempotencyKey} was already sent - skipping`);
+      return false;
+    }
+    console.error(`[NOTIFICATION LOG] Failed to claim ${idempotencyKey}:`, error.message);
+    return true;
+  }
+
+  // Record the outcome of a claimed trigger: status 'sent' | 'queued' | 'failed'
+  async function finishNotificationLog(idempotencyKey, status, { message, results } = {}) {
+    const update = { status };
+    if (message !== undefined) update.message = message;
+    if (results !== undefined) update.channel_results = results;
+    if (status === 'sent') update.sent_at = new Date().toISOString();
+
+    const { error } = await supabase
+      .from('notification_log')
+      .update(update)
+      .eq('idempotency_key', idempotencyKey);
+
+    if (error) {
+      console.error(`[NOTIFICATION LOG] Failed to update ${idempotencyKey}:`, error.message);
+    }
+  }
+
+  // Give a claim back when the notification will not be retried through the queue
+  async function releaseNotificationClaim(claim) {
+    const { error } = await supabase
+      .from('notification_log')
+      .delete()
+      .eq('idempotency_key', getIdempotencyKey(claim));
+
+    if (error) {
+      console.error(`[NOTIFICATION LOG] Failed to release ${getIdempotencyKey(claim)}:`, error.message);
+    }
+  }
+
+  return { claimNotification, finishNotificationLog, releaseNotificationClaim };
+}
+
+module.exports = { createNotificationLog, getFingerprint, getIdempotencyKey };
@@ -0,0 +1,161 @@
+// ETH/USD Price Oracle
+// Shared ETH/USD rate for alerts and commands: configurable sources queried in parallel, median of the
+// answers, in-memory TTL cache and a staleness limit after which no price is reported at all
+
+const { ethers } = require('ethers');
+
+const DEFAULT_SOURCES = 'binance,coingecko,coinbase';
+const CACHE_TTL_MS = parseInt(process.env.ETH_USD_CACHE_TTL_MS || '60000', 10);
+const MAX_STALENESS_MS = parseInt(process.env.ETH_USD_MAX_STALENESS_MS || String(10 * 60 * 1000), 10);
+// Chainlink ETH/USD only writes a new round on a ~1h heartbeat (or a 0.5% move), so the feed gets its own limit
+const FEED_MAX_STALENESS_MS = parseInt(process.env.ETH_USD_FEED_MAX_STALENESS_MS || String(2 * 60 * 60 * 1000), 10);
+const FEED_ADDRESS = (process.env.ETH_USD_FEED_ADDRESS || '').trim();
+
+// Chainlink-compatible aggregator
+const AGGREGATOR_ABI = [
+  'function decimals() view returns (uint8)',
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
+];
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// HTTP sources: name -> { url, parse(json) -> price }
+const HTTP_SOURCES = {
+  binance: {
+    url: 'https://api.binance.com/api/v3/ticker/price?symbol=ETHUSDT',
+    parse: data => parseFloat(data.price)
+  },
+  coingecko: {
+    url: 'https://api.coingecko.com/api/v3/simple/price?ids=ethereum&vs_currencies=usd',
+    parse: data => parseFloat(data?.ethereum?.usd)
+  },
+  coinbase: {
+    url: 'https://api.coinbase.com/v2/prices/ETH-USD/spot',
+    parse: data => parseFloat(data?.data?.amount)
+  },
+  kraken: {
+    url: 'https://api.kraken.com/0/public/Ticker?pair=ETHUSD',
+    parse: data => parseFloat(Object.values(data?.result || {})[0]?.c?.[0])
+  }
+};
+
+// Create the oracle
+// request(source, url) -> Response lets the caller add timeouts/metrics (defaults to fetch)
+// provider: ethers provider for the 'onchain' source (ETH_USD_FEED_ADDRESS aggregator)
+function createPriceOracle({ request = (source, url) => fetch(url), provider = null } = {}) {
+  const sourceNames = (process.env.ETH_USD_SOURCES || DEFAULT_SOURCES)
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const unknown = sourceNames.filter(name => !HTTP_SOURCES[name] && name !== 'onchain');
+  if (unknown.length > 0) {
+    console.warn(`⚠️ Unknown ETH_USD_SOURCES entries ignored: ${unknown.join(', ')}`);
+  }
+  if (sourceNames.includes('onchain') && (!provider || !ethers.isAddress(FEED_ADDRESS))) {
+    console.warn('⚠️ ETH_USD_SOURCES includes onchain but ETH_USD_FEED_ADDRESS is not set - onchain source disabled');
+  }
+
+  const feed = provider && ethers.isAddress(FEED_ADDRESS)
+    ? new ethers.Contract(FEED_ADDRESS, AGGREGATOR_ABI, provider)
+    : null;
+  let feedDecimals = null;
+
+  let cached = null; // { price, updatedAt, sources, expiresAt }
+  let lastAttemptAt = 0; // failed refreshes also wait for the TTL, so a down source is not hammered
+  let refreshing = null;
+
+  // Each source resolves to { price, updatedAt } or throws
+  async function readSource(name) {
+    if (name === 'onchain') {
+      if (!feed) throw new Error('feed not configured');
+      if (feedDecimals === null) {
+        feedDecimals = Number(await feed.decimals());
+      }
+      const round = await feed.latestRoundData();
+      return {
+        price: Number(ethers.formatUnits(round.answer, feedDecimals)),
+        updatedAt: Number(round.updatedAt) * 1000
+      };
+    }
+
+    const source = HTTP_SOURCES[name];
+    if (!source) throw new Error('unknown source');
+    const response = await request(name, source.url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return { price: source.parse(await response.json()), updatedAt: Date.now() };
+  }
+
+  function getMaxStaleness(name) {
+    return name === 'onchain' ? FEED_MAX_STALENESS_MS : MAX_STALENESS_MS;
+  }
+
+  async function refresh() {
+    lastAttemptAt = Date.now();
+    const names = sourceNames.filter(name => HTTP_SOURCES[name] || (name === 'onchain' && feed));
+    const results = await Promise.allSettled(names.map(readSource));
+    const now = Date.now();
+    const quotes = [];
+
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        console.error(`[PRICE ORACLE] ${names[index]} failed:`, result.reason?.message || result.reason);
+        return;
+      }
+      const { price, updatedAt } = result.value;
+      if (!(price > 0)) {
+        console.error(`[PRICE ORACLE] ${names[index]} returned an invalid price`);
+        return;
+      }
+      if (now - updatedAt > getMaxStaleness(names[index])) {
+        console.warn(`[PRICE ORACLE] ${names[index]} price is stale (updated ${new Date(updatedAt).toISOString()})`);
+        return;
+      }
+      quotes.push({ source: names[index], price, updatedAt });
+    });
+
+    if (quotes.length > 0) {
+      cached = {
+        price: median(quotes.map(quote => quote.price)),
+        updatedAt: Math.min(...quotes.map(quote => quote.updatedAt)),
+        sources: quotes.map(quote => quote.source),
+        // The cached median is only as fresh as its stalest quote, measured against that quote's own limit
+        expiresAt: Math.min(...quotes.map(quote => quote.updatedAt + getMaxStaleness(quote.source)))
+      };
+    }
+  }
+
+  // Latest fresh quote { price, updatedAt, sources } or null once the cached quotes outlived their staleness limits
+  async function getEthUsdQuote() {
+    // Concurrent callers share one refresh
+    if (!refreshing && Date.now() - lastAttemptAt >= CACHE_TTL_MS) {
+      refreshing = refresh().finally(() => {
+        refreshing = null;
+      });
+    }
+    if (refreshing) {
+      await refreshing;
+    }
+
+    if (!cached || Date.now() > cached.expiresAt) {
+      return null;
+    }
+    return { price: cached.price, updatedAt: cached.updatedAt, sources: cached.sources };
+  }
+
+  // ETH/USD rate, or 0 when no fresh price is available (callers must treat 0 as "unknown", never as $0)
+  async function getEthToUsdRate() {
+    const quote = await getEthUsdQuote();
+    return quote ? quote.price : 0;
+  }
+
+  return { getEthUsdQuote, getEthToUsdRate };
+}
+
+module.exports = createPriceOracle;
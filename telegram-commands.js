@@ -1,21 +1,42 @@
 // Telegram Bot Commands for Alert Management
 // Handles user interactions for creating and managing alerts via Telegram
 
-const { APP_VERSION } = require('./version');
+const { createUserProfiles, ownerFilter } = require('./user-profiles');
+const { describeAlert, summarizeNotification } = require('./alert-summary');
 
 const ITEMS_PER_PAGE = 10;
-const API_BASE_URL = process.env.API_BASE_URL ;
+const HISTORY_LIMIT = 15;
+const WALLET_ADDRESS_REGEX = /^0x[a-fA-F0-9]{40}$/;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
 
-// Helper: Add version header to API requests
-function getVersionedHeaders(additionalHeaders = {}) {
-  return {
-    'X-App-Version': APP_VERSION,
-    ...additionalHeaders
+// Helper: Escape user and item text for parse_mode 'HTML' messages (item names may contain markup characters)
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Helper: Log errors of a bot handler instead of leaving them as unhandled rejections
+function catchErrors(handler) {
+  return async (...args) => {
+    try {
+      await handler(...args);
+    } catch (error) {
+      console.error('Error handling Telegram message:', error.message);
+    }
   };
 }
 
+// Helper: Check an IANA timezone name
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
 // Initialize Telegram commands
-function initTelegramCommands(telegramBot, supabase) {
+function initTelegramCommands(telegramBot, supabase, { getEthToUsdRate, marketplace }) {
   if (!telegramBot) {
     console.warn('⚠️ Telegram bot not provided to telegram-commands');
     return;
@@ -24,27 +45,15 @@ function initTelegramCommands(telegramBot, supabase) {
   // Helper: Get all tradable items with floor prices
   async function getTradableItemsWithFloorPrices() {
     try {
-      const [itemsResponse, detailsResponse, floorResponse] = await Promise.all([
-        fetch(`${API_BASE_URL}/api/items`, { headers: getVersionedHeaders() }),
-        fetch(`${API_BASE_URL}/api/item-details`, { headers: getVersionedHeaders() }),
-        fetch('https://gigaverse.io/api/marketplace/item/floor/all')
+      const [itemIds, itemDetails, floorLookup] = await Promise.all([
+        marketplace.getItemIds(),
+        marketplace.getItemDetails(),
+        marketplace.getFloorPriceLookup()
       ]);
 
-      const itemIds = await itemsResponse.json();
-      const itemDetails = await detailsResponse.json();
-      const floorData = await floorResponse.json();
-
-      const floorLookup = {};
-      floorData.entities?.forEach(item => {
-        if (item.GAME_ITEM_ID_CID && item.ETH_MINT_PRICE_CID) {
-          const floorPriceETH = parseFloat(item.ETH_MINT_PRICE_CID) / 1e18;
-          floorLookup[item.GAME_ITEM_ID_CID] = floorPriceETH;
-        }
-      });
-
       const items = itemIds.map(itemId => {
         const details = itemDetails[itemId];
-        const floorPrice = floorLookup[itemId] || 0;
+        const floorPrice = floorLookup.get(String(itemId)) || 0;
         return {
           id: itemId,
           name: details?.name || 'Item ' + itemId,
@@ -63,24 +72,485 @@ function initTelegramCommands(telegramBot, supabase) {
     }
   }
 
-  // Helper: Get ETH to USD rate
-  async function getEthToUsdRate() {
-    try {
-      const response = await fetch('https://api.binance.com/api/v3/ticker/price?symbol=ETHUSDT');
-      const data = await response.json();
-      return parseFloat(data.price) || 0;
-    } catch (error) {
-      console.error('Error fetching ETH price:', error);
-      return 0;
-    }
-  }
-
   // Helper: Get user's Telegram username from chat
   function getTelegramUsername(msg) {
     return msg.from.username;
   }
 
-  telegramBot.onText(/\/help/, async (msg) => {
+  const userProfiles = createUserProfiles(supabase);
+
+  // Helper: Owner of the per-user settings rows (alert_profiles, digest_preferences)
+  function profileOwner(msg) {
+    return { platform: 'telegram', id: msg.chat.id, username: getTelegramUsername(msg) };
+  }
+
+  // Helper: Format ETH with trimmed trailing zeros
+  function formatETH(ethValue) {
+    let formatted;
+    if (ethValue >= 0.01) formatted = ethValue.toFixed(4);
+    else if (ethValue >= 0.001) formatted = ethValue.toFixed(5);
+    else if (ethValue >= 0.0001) formatted = ethValue.toFixed(6);
+    else formatted = ethValue.toFixed(8);
+    return formatted.replace(/\.?0+$/, '');
+  }
+
+  // Conversation state per chat (item picking, condition, target price)
+  const sessions = new Map(); // chatId -> { step, items, itemId, itemName, condition, currency }
+
+  // Helper: Get alerts owned by a Telegram user
+  async function getUserAlerts(username, chatId) {
+    const { data, error } = await supabase
+      .from('notification_alerts')
+      .select('*')
+      .or(ownerFilter({ platform: 'telegram', id: chatId, username }));
+
+    if (error) {
+      console.error('Error fetching Telegram alerts:', error);
+      return null;
+    }
+    return data || [];
+  }
+
+  // Helper: Build pagination row (prev / page x of y / next)
+  function buildPaginationRow(prefix, page, totalPages) {
+    const row = [];
+    if (page > 0) row.push({ text: '⬅️', callback_data: `${prefix}:${page - 1}` });
+    row.push({ text: `${page + 1}/${totalPages}`, callback_data: 'noop' });
+    if (page < totalPages - 1) row.push({ text: '➡️', callback_data: `${prefix}:${page + 1}` });
+    return row;
+  }
+
+  // Helper: Build alert list keyboard (mode 'view' opens details, 'delete' removes directly)
+  function buildAlertsKeyboard(alerts, page, mode) {
+    const totalPages = Math.max(1, Math.ceil(alerts.length / ITEMS_PER_PAGE));
+    const pageAlerts = alerts.slice(page * ITEMS_PER_PAGE, (page + 1) * ITEMS_PER_PAGE);
+    const action = mode === 'delete' ? 'del' : 'alert';
+
+    const keyboard = pageAlerts.map(alert => ([
+      { text: describeAlert(alert).slice(0, 60), callback_data: `${action}:${alert.id}` }
+    ]));
+    if (totalPages > 1) {
+      keyboard.push(buildPaginationRow(mode === 'delete' ? 'delpage' : 'alerts', page, totalPages));
+    }
+    return { inline_keyboard: keyboard };
+  }
+
+  // Helper: Build item picker keyboard (sorted by floor price)
+  function buildItemsKeyboard(items, page) {
+    const totalPages = Math.max(1, Math.ceil(items.length / ITEMS_PER_PAGE));
+    const pageItems = items.slice(page * ITEMS_PER_PAGE, (page + 1) * ITEMS_PER_PAGE);
+
+    const keyboard = pageItems.map(item => ([
+      {
+        text: `${item.name} - ${item.floorPrice > 0 ? 'Ξ' + formatETH(item.floorPrice) : 'no floor'}`,
+        callback_data: `pick:${item.id}`
+      }
+    ]));
+    if (totalPages > 1) {
+      keyboard.push(buildPaginationRow('items', page, totalPages));
+    }
+    keyboard.push([{ text: '❌ Cancel', callback_data: 'cancel' }]);
+    return { inline_keyboard: keyboard };
+  }
+
+  // Helper: Send or edit the alert list message
+  async function showAlerts(chatId, username, page, mode, messageId = null) {
+    const alerts = await getUserAlerts(username, chatId);
+    if (alerts === null) {
+      await telegramBot.sendMessage(chatId, '❌ Could not load your alerts. Please try again later.');
+      return;
+    }
+
+    if (alerts.length === 0) {
+      const emptyText = 'You have no active alerts.\n\nUse /newalert to create one.';
+      if (messageId) {
+        await telegramBot.editMessageText(emptyText, { chat_id: chatId, message_id: messageId });
+      } else {
+        await telegramBot.sendMessage(chatId, emptyText);
+      }
+      return;
+    }
+
+    const totalPages = Math.ceil(alerts.length / ITEMS_PER_PAGE);
+    const safePage = Math.min(Math.max(page, 0), totalPages - 1);
+    const title = mode === 'delete'
+      ? `🗑 Tap an alert to delete it (${alerts.length} total)`
+      : `🔔 Your alerts (${alerts.length} total)`;
+    const options = { reply_markup: buildAlertsKeyboard(alerts, safePage, mode) };
+
+    if (messageId) {
+      await telegramBot.editMessageText(title, { chat_id: chatId, message_id: messageId, ...options });
+    } else {
+      await telegramBot.sendMessage(chatId, title, options);
+    }
+  }
+
+  // Helper: Create a price alert from a finished session
+  async function createPriceAlert(username, chatId, session, targetPrice) {
+    const targetField = session.currency === 'usd' ? 'target_price_usd' : 'target_price_eth';
+    const { error } = await supabase
+      .from('notification_alerts')
+      .insert({
+        alert_type: 'price_alert',
+        notification_channel: 'telegram',
+        telegram_username: username,
+        telegram_chat_id: chatId,
+        price_condition: session.condition,
+        [targetField]: targetPrice,
+        remove_after_trigger: true,
+        item_ids: [{
+          id: session.itemId,
+          name: session.itemName,
+          price_condition: session.condition,
+          [targetField]: targetPrice
+        }]
+      });
+
+    if (error) {
+      console.error('Error creating Telegram alert:', error);
+      return false;
+    }
+    return true;
+  }
+
+  telegramBot.onText(/\/alerts/, catchErrors(async (msg) => {
+    const chatId = msg.chat.id;
+    const username = getTelegramUsername(msg); // optional: alerts are matched by chat ID first
+
+    await showAlerts(chatId, username, 0, 'view');
+  }));
+
+  telegramBot.onText(/\/history/, catchErrors(async (msg) => {
+    const chatId = msg.chat.id;
+    const username = getTelegramUsername(msg); // optional: alerts are matched by chat ID first
+
+    const { data: entries, error } = await supabase
+      .from('notification_log')
+      .select('alert_type, status, message, created_at')
+      .or(ownerFilter({ platform: 'telegram', id: chatId, username }))
+      .neq('status', 'pending')
+      .order('created_at', { ascending: false })
+      .limit(HISTORY_LIMIT);
+
+    if (error) {
+      console.error('Error fetching Telegram notification history:', error);
+      await telegramBot.sendMessage(chatId, '❌ Could not load your history. Please try again later.');
+      return;
+    }
+    if (!entries || entries.length === 0) {
+      await telegramBot.sendMessage(chatId, 'No notifications yet.');
+      return;
+    }
+
+    const lines = entries.map(entry => {
+      const text = summarizeNotification(entry.message) || entry.alert_type;
+      const status = entry.status === 'sent' ? '' : ` (${entry.status})`;
+      return `${entry.created_at.slice(0, 16).replace('T', ' ')} UTC\n${text}${status}`;
+    });
+    // Plain text: stored messages are chat markdown that Telegram's parser may reject
+    await telegramBot.sendMessage(chatId, `📜 Recent notifications\n\n${lines.join('\n\n')}`);
+  }));
+
+  telegramBot.onText(/\/delete/, catchErrors(async (msg) => {
+    const chatId = msg.chat.id;
+    const username = getTelegramUsername(msg); // optional: alerts are matched by chat ID first
+
+    await showAlerts(chatId, username, 0, 'delete');
+  }));
+
+  telegramBot.onText(/\/newalert/, catchErrors(async (msg) => {
+    const chatId = msg.chat.id;
+    const username = getTelegramUsername(msg);
+    if (!username) {
+      await telegramBot.sendMessage(chatId, '❌ You need to set a Telegram username first.');
+      return;
+    }
+
+    const items = await getTradableItemsWithFloorPrices();
+    if (items.length === 0) {
+      await telegramBot.sendMessage(chatId, '❌ Could not load items. Please try again later.');
+      return;
+    }
+
+    sessions.set(chatId, { step: 'pick_item', items });
+    await telegramBot.sendMessage(chatId, '🛒 Pick an item for your price alert:', {
+      reply_markup: buildItemsKeyboard(items, 0)
+    });
+  }));
+
+  // Link a wallet to the user's alert profile (used by P&L alerts and the daily summary)
+  telegramBot.onText(/\/wallet(?:\s+(\S+))?/, catchErrors(async (msg, match) => {
+    const chatId = msg.chat.id;
+
+    const address = match?.[1];
+    if (!address) {
+      const { data } = await userProfiles.findProfile('alert_profiles', profileOwner(msg), 'wallet_address');
+      await telegramBot.sendMessage(chatId, data?.wallet_address
+        ? `👛 Linked wallet: ${data.wallet_address}\n\nSend /wallet <address> to change it.`
+        : '👛 No wallet linked.\n\nSend /wallet <address> to link one.');
+      return;
+    }
+
+    if (!WALLET_ADDRESS_REGEX.test(address)) {
+      await telegramBot.sendMessage(chatId, '❌ That does not look like a wallet address (0x…40 hex characters).');
+      return;
+    }
+
+    const { error } = await userProfiles.saveProfile('alert_profiles', profileOwner(msg), {
+      wallet_address: address.toLowerCase()
+    });
+
+    if (error) {
+      console.error('Error linking Telegram wallet:', error);
+      await telegramBot.sendMessage(chatId, '❌ Failed to link wallet. Please try again later.');
+      return;
+    }
+    await telegramBot.sendMessage(chatId, `✅ Wallet linked: ${address.toLowerCase()}`);
+  }));
+
+  // Toggle the daily P&L summary
+  telegramBot.onText(/\/dailypnl(?:\s+(on|off))?/, catchErrors(async (msg, match) => {
+    const chatId = msg.chat.id;
+
+    const enabled = match?.[1] !== 'off';
+    const { error } = await userProfiles.saveProfile('alert_profiles', profileOwner(msg), {
+      notification_channel: 'telegram',
+      daily_pnl_summary: enabled
+    });
+
+    if (error) {
+      console.error('Error updating daily P&L setting:', error);
+      await telegramBot.sendMessage(chatId, '❌ Failed to update setting. Please try again later.');
+      return;
+    }
+    await telegramBot.sendMessage(chatId, enabled
+      ? '✅ Daily P&L summary enabled (needs a linked /wallet).'
+      : '🔕 Daily P&L summary disabled.');
+  }));
+
+  // Scheduled portfolio digest: /digest daily|weekly [hour] [timezone] [weekday] or /digest off
+  telegramBot.onText(/\/digest(?:\s+(.+))?/, catchErrors(async (msg, match) => {
+    const chatId = msg.chat.id;
+
+    const [frequency, hourArg, timezone = 'UTC', weekdayArg] = (match?.[1] || '').trim().split(/\s+/);
+    if (!['daily', 'weekly', 'off'].includes(frequency)) {
+      await telegramBot.sendMessage(chatId, 'Usage:\n/digest daily 9 Europe/Berlin\n/digest weekly 9 UTC mon\n/digest off');
+      return;
+    }
+
+    const hour = hourArg === undefined ? 9 : parseInt(hourArg, 10);
+    const weekday = weekdayArg ? WEEKDAYS.indexOf(weekdayArg.slice(0, 3).toLowerCase()) : 1;
+    if (Number.isNaN(hour) || hour < 0 || hour > 23 || weekday < 0 || !isValidTimeZone(timezone)) {
+      await telegramBot.sendMessage(chatId, '❌ Invalid hour (0-23), timezone (e.g. Europe/Berlin) or weekday (mon-sun).');
+      return;
+    }
+
+    const { error } = await userProfiles.saveProfile('digest_preferences', profileOwner(msg), {
+      notification_channel: 'telegram',
+      frequency,
+      hour,
+      timezone,
+      weekday
+    });
+
+    if (error) {
+      console.error('Error saving digest preference:', error);
+      await telegramBot.sendMessage(chatId, '❌ Failed to save digest settings. Please try again later.');
+      return;
+    }
+
+    const when = frequency === 'weekly' ? `every ${WEEKDAYS[weekday]} at ${hour}:00` : `daily at ${hour}:00`;
+    await telegramBot.sendMessage(chatId, frequency === 'off'
+      ? '🔕 Digest disabled.'
+      : `✅ Digest scheduled ${when} (${timezone}). Needs a linked /wallet.`);
+  }));
+
+  telegramBot.on('callback_query', async (query) => {
+    const chatId = query.message?.chat.id;
+    const messageId = query.message?.message_id;
+    const username = query.from.username;
+    const [action, value] = (query.data || '').split(':');
+
+    try {
+      await telegramBot.answerCallbackQuery(query.id);
+      if (!chatId || action === 'noop') return;
+
+      const session = sessions.get(chatId);
+
+      switch (action) {
+        case 'alerts':
+          await showAlerts(chatId, username, parseInt(value, 10) || 0, 'view', messageId);
+          break;
+
+        case 'delpage':
+          await showAlerts(chatId, username, parseInt(value, 10) || 0, 'delete', messageId);
+          break;
+
+        case 'alert': {
+          const alerts = await getUserAlerts(username, chatId);
+          const alert = alerts?.find(a => String(a.id) === value);
+          if (!alert) {
+            await showAlerts(chatId, username, 0, 'view', messageId);
+            return;
+          }
+          const persistence = alert.remove_after_trigger === false ? 'Keeps until deleted' : 'Auto-remove';
+          await telegramBot.editMessageText(`${describeAlert(alert)}\nPersistence: ${persistence}`, {
+            chat_id: chatId,
+            message_id: messageId,
+            reply_markup: {
+              inline_keyboard: [[
+                ...(alert.status === 'suspended' ? [{ text: '▶️ Resume', callback_data: `resume:${alert.id}` }] : []),
+                { text: '🗑 Delete', callback_data: `del:${alert.id}` },
+                { text: '⬅️ Back', callback_data: 'alerts:0' }
+              ]]
+            }
+          });
+          break;
+        }
+
+        case 'del': {
+          const { error } = await supabase
+            .from('notification_alerts')
+            .delete()
+            .eq('id', value)
+            .or(ownerFilter({ platform: 'telegram', id: chatId, username }));
+
+          if (error) {
+            console.error('Error deleting Telegram alert:', error);
+            await telegramBot.sendMessage(chatId, '❌ Failed to delete alert. Please try again later.');
+            return;
+          }
+          console.log(`[TELEGRAM] Alert ${value} deleted by ${username ? `@${username}` : chatId}`);
+          await showAlerts(chatId, username, 0, 'delete', messageId);
+          break;
+        }
+
+        case 'resume': {
+          const { error } = await supabase
+            .from('notification_alerts')
+            .update({ status: null, suspended_at: null, delivery_failures: 0 })
+            .eq('id', value)
+            .eq('status', 'suspended')
+            .or(ownerFilter({ platform: 'telegram', id: chatId, username }));
+
+          if (error) {
+            console.error('Error resuming Telegram alert:', error);
+            await telegramBot.sendMessage(chatId, '❌ Failed to resume alert. Please try again later.');
+            return;
+          }
+          console.log(`[TELEGRAM] Alert ${value} resumed by ${username ? `@${username}` : chatId}`);
+          await showAlerts(chatId, username, 0, 'view', messageId);
+          break;
+        }
+
+        case 'items':
+          if (!session?.items) return;
+          await telegramBot.editMessageReplyMarkup(buildItemsKeyboard(session.items, parseInt(value, 10) || 0), {
+            chat_id: chatId,
+            message_id: messageId
+          });
+          break;
+
+        case 'pick': {
+          const item = session?.items?.find(i => String(i.id) === value);
+          if (!item) return;
+          sessions.set(chatId, { step: 'pick_condition', itemId: item.id, itemName: item.name, floorPrice: item.floorPrice });
+          await telegramBot.editMessageText(`<b>${escapeHtml(item.name)}</b>\nFloor: Ξ${formatETH(item.floorPrice)}\n\nNotify me when the floor goes:`, {
+            chat_id: chatId,
+            message_id: messageId,
+            parse_mode: 'HTML',
+            reply_markup: {
+              inline_keyboard: [
+                [
+                  { text: '📈 Above', callback_data: 'cond:above' },
+                  { text: '📉 Below', callback_data: 'cond:below' }
+                ],
+                [{ text: '❌ Cancel', callback_data: 'cancel' }]
+              ]
+            }
+          });
+          break;
+        }
+
+        case 'cond':
+          if (session?.step !== 'pick_condition' || !['above', 'below'].includes(value)) return;
+          session.condition = value;
+          session.step = 'pick_currency';
+          await telegramBot.editMessageText(`<b>${escapeHtml(session.itemName)}</b> ${value}...\n\nSet the target in:`, {
+            chat_id: chatId,
+            message_id: messageId,
+            parse_mode: 'HTML',
+            reply_markup: {
+              inline_keyboard: [
+                [
+                  { text: 'Ξ ETH', callback_data: 'cur:eth' },
+                  { text: '$ USD', callback_data: 'cur:usd' }
+                ],
+                [{ text: '❌ Cancel', callback_data: 'cancel' }]
+              ]
+            }
+          });
+          break;
+
+        case 'cur': {
+          if (session?.step !== 'pick_currency' || !['eth', 'usd'].includes(value)) return;
+          session.currency = value;
+          session.step = 'enter_price';
+
+          let currentText = `Ξ${formatETH(session.floorPrice)}`;
+          if (value === 'usd') {
+            const ethToUsdRate = await getEthToUsdRate();
+            currentText = ethToUsdRate > 0 ? `$${(session.floorPrice * ethToUsdRate).toFixed(2)}` : 'unavailable';
+          }
+          await telegramBot.editMessageText(
+            `<b>${escapeHtml(session.itemName)}</b> ${session.condition}...\nCurrent floor: ${currentText}\n\nReply with your target price in ${value.toUpperCase()}:`,
+            { chat_id: chatId, message_id: messageId, parse_mode: 'HTML' }
+          );
+          break;
+        }
+
+        case 'cancel':
+          sessions.delete(chatId);
+          await telegramBot.editMessageText('Cancelled.', { chat_id: chatId, message_id: messageId });
+          break;
+      }
+    } catch (error) {
+      console.error('Error handling Telegram callback:', error.message);
+    }
+  });
+
+  // Target price entry (free text while a /newalert session is waiting for it)
+  telegramBot.on('message', catchErrors(async (msg) => {
+    const chatId = msg.chat.id;
+    const session = sessions.get(chatId);
+    if (!session || session.step !== 'enter_price' || !msg.text || msg.text.startsWith('/')) {
+      return;
+    }
+
+    const username = getTelegramUsername(msg);
+    const targetPrice = parseFloat(msg.text.replace(/[$Ξ,\s]/g, ''));
+    if (Number.isNaN(targetPrice) || targetPrice <= 0) {
+      await telegramBot.sendMessage(chatId, '❌ Please enter a positive number, e.g. 0.0025');
+      return;
+    }
+
+    sessions.delete(chatId);
+    const created = await createPriceAlert(username, chatId, session, targetPrice);
+    if (!created) {
+      await telegramBot.sendMessage(chatId, '❌ Failed to create alert. Please try again later.');
+      return;
+    }
+
+    const targetText = session.currency === 'usd' ? `$${targetPrice.toFixed(2)}` : `Ξ${formatETH(targetPrice)}`;
+    await telegramBot.sendMessage(
+      chatId,
+      `✅ Alert created: <b>${escapeHtml(session.itemName)}</b> ${session.condition} ${targetText}\n\nUse /alerts to manage your alerts.`,
+      { parse_mode: 'HTML' }
+    );
+    console.log(`[TELEGRAM] Alert created by @${username}: ${session.itemName} ${session.condition} ${targetText}`);
+  }));
+
+  telegramBot.onText(/\/help/, catchErrors(async (msg) => {
     const chatId = msg.chat.id;
 
     const helpMessage = `
@@ -89,23 +559,29 @@ function initTelegramCommands(telegramBot, supabase) {
 *How to use:*
 
 1️⃣ Send /start to register
-2️⃣ Go to juiced.sh
-3️⃣ Create alerts on website
-4️⃣ Receive notifications here!
+2️⃣ Create alerts with /newalert (or on juiced.sh)
+3️⃣ Receive notifications here!
 
 *Available Commands:*
 
 /start - Register to receive notifications
+/newalert - Create a price alert
+/alerts - List and manage your alerts (resume suspended ones)
+/history - Notifications you received recently
+/delete - Delete an alert
+/wallet - Link your wallet for P&L alerts
+/dailypnl on|off - Daily P&L summary
+/digest - Schedule a portfolio digest
 /help - Show this message
 
 ---
-Create alerts at: juiced.sh
+Manage alerts also at: juiced.sh
     `;
 
     await telegramBot.sendMessage(chatId, helpMessage, { parse_mode: 'Markdown' });
-  });
+  }));
 
-  console.log('✅ Telegram bot ready (receive-only mode)');
+  console.log('✅ Telegram bot ready (alert management enabled)');
 }
 
 module.exports = initTelegramCommands;
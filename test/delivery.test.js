@@ -0,0 +1,80 @@
+// Delivery helpers: channel fan-out, retry backoff, retry snapshots and suspension counting
+// Run with: node --test test/
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  getAlertChannels,
+  getFailedChannels,
+  getFallbackChannels,
+  getQueueBackoffMs,
+  getRetrySnapshot,
+  countDeliveryFailure
+} = require('../delivery');
+
+test('alert channels prefer the array, fall back to the legacy value and dedupe', () => {
+  assert.deepStrictEqual(getAlertChannels({ notification_channels: ['telegram', 'email', 'telegram'] }), ['telegram', 'email']);
+  assert.deepStrictEqual(getAlertChannels({ notification_channels: [], notification_channel: 'webhook' }), ['webhook']);
+  assert.deepStrictEqual(getAlertChannels({}), ['discord']);
+});
+
+test('failed channels are the ones that did not deliver', () => {
+  assert.deepStrictEqual(getFailedChannels({ discord: true, telegram: false, email: false }), ['telegram', 'email']);
+  assert.deepStrictEqual(getFailedChannels({ discord: true }), []);
+});
+
+test('fallback channels exclude the failing ones and their aliases', () => {
+  const alert = {
+    notification_channels: ['discord'],
+    discord_user_id: '1',
+    telegram_chat_id: '2',
+    email_address: 'a@example.com'
+  };
+  assert.deepStrictEqual(getFallbackChannels(alert), ['telegram', 'email']);
+  assert.deepStrictEqual(getFallbackChannels({ ...alert, notification_channels: ['telegram', 'email'] }), ['discord']);
+  assert.deepStrictEqual(getFallbackChannels({ notification_channel: 'telegram', telegram_username: 'bob' }), []);
+});
+
+test('queue backoff doubles per attempt and is capped at 6 hours', () => {
+  assert.strictEqual(getQueueBackoffMs(1, 60000), 60000);
+  assert.strictEqual(getQueueBackoffMs(2, 60000), 120000);
+  assert.strictEqual(getQueueBackoffMs(4, 60000), 480000);
+  assert.strictEqual(getQueueBackoffMs(20, 60000), 6 * 60 * 60 * 1000);
+});
+
+test('retry snapshot keeps recipient fields and narrows to the failed channels', () => {
+  const alert = {
+    id: 3,
+    alert_type: 'price_alert',
+    notification_channels: ['discord', 'telegram', 'email'],
+    discord_user_id: '1',
+    telegram_chat_id: '2',
+    email_address: 'a@example.com',
+    item_ids: [{ id: 9 }],
+    delivery_failures: 2
+  };
+  const snapshot = getRetrySnapshot(alert, ['telegram', 'email']);
+
+  assert.deepStrictEqual(snapshot, {
+    id: 3,
+    alert_type: 'price_alert',
+    notification_channels: ['telegram', 'email'],
+    notification_channel: 'telegram',
+    discord_user_id: '1',
+    telegram_chat_id: '2',
+    email_address: 'a@example.com'
+  });
+  assert.deepStrictEqual(getRetrySnapshot(snapshot, ['email']).notification_channels, ['email']);
+});
+
+test('delivery failures suspend the alert at the threshold', () => {
+  assert.deepStrictEqual(countDeliveryFailure({ delivery_failures: null, status: null }, 5), { failures: 1, suspend: false });
+  assert.deepStrictEqual(countDeliveryFailure({ delivery_failures: 3, status: null }, 5), { failures: 4, suspend: false });
+  assert.deepStrictEqual(countDeliveryFailure({ delivery_failures: 4, status: null }, 5), { failures: 5, suspend: true });
+});
+
+test('paused or missing alerts are not counted', () => {
+  assert.strictEqual(countDeliveryFailure({ delivery_failures: 9, status: 'suspended' }, 5), null);
+  assert.strictEqual(countDeliveryFailure({ delivery_failures: 0, status: 'disabled' }, 5), null);
+  assert.strictEqual(countDeliveryFailure(null, 5), null);
+});
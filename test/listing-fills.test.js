@@ -0,0 +1,76 @@
+// Listing fill attribution: ordering, owner returns and the seen-transfer baseline
+// Run with: node --test test/
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getListingFills } = require('../listing-fills');
+
+const OWNER = '0xOwner';
+
+function transfer(id, to, amount, blockNumber, logIndex = 0) {
+  return { id, transferredTo: { id: to }, amount: String(amount), totalValueETH: String(amount / 100), blockNumber: String(blockNumber), logIndex: String(logIndex) };
+}
+
+test('fills are ordered by block and log index, not by id', () => {
+  const listing = {
+    owner: { id: OWNER },
+    amountRemaining: '4',
+    transfers: [
+      transfer('0xc', '0xb1', 1, 12, 0),
+      transfer('0xa', '0xb2', 2, 11, 5),
+      transfer('0xb', '0xb3', 3, 11, 2)
+    ]
+  };
+  const { fills } = getListingFills(listing, { amount: 10, seen_transfer_ids: [] });
+
+  assert.deepStrictEqual(fills.map(fill => fill.id), ['0xb', '0xa', '0xc']);
+});
+
+test('items returned to the owner are not fills', () => {
+  const listing = {
+    owner: { id: OWNER },
+    amountRemaining: '0',
+    transfers: [transfer('0x1', '0xbuyer', 2, 10), transfer('0x2', OWNER.toLowerCase(), 3, 11)]
+  };
+  const { fills, newFills, returnedToOwner, currentRemaining } = getListingFills(listing, { amount: 5, seen_transfer_ids: [] });
+
+  assert.deepStrictEqual(fills.map(fill => fill.id), ['0x1']);
+  assert.deepStrictEqual(newFills.map(fill => fill.id), ['0x1']);
+  assert.strictEqual(returnedToOwner, true);
+  assert.strictEqual(currentRemaining, 0);
+});
+
+test('fills already seen are not new', () => {
+  const listing = {
+    owner: { id: OWNER },
+    amountRemaining: '5',
+    transfers: [transfer('0x1', '0xb1', 2, 10), transfer('0x2', '0xb2', 3, 11)]
+  };
+  const { newFills, seenTransferIds } = getListingFills(listing, { amount: 10, seen_transfer_ids: ['0x1'] });
+
+  assert.deepStrictEqual(newFills.map(fill => fill.id), ['0x2']);
+  assert.deepStrictEqual(seenTransferIds, ['0x1']);
+});
+
+test('without seen ids, the latest fills covering the remaining drop are new', () => {
+  const listing = {
+    owner: { id: OWNER },
+    amountRemaining: '4',
+    transfers: [transfer('0x1', '0xb1', 3, 10), transfer('0x2', '0xb2', 1, 11), transfer('0x3', '0xb3', 2, 12)]
+  };
+  const { newFills, seenTransferIds } = getListingFills(listing, { amount: 10, last_remaining_amount: 7 });
+
+  assert.deepStrictEqual(newFills.map(fill => fill.id), ['0x2', '0x3']);
+  assert.deepStrictEqual(seenTransferIds, ['0x1']);
+});
+
+test('the baseline falls back to the listed amount', () => {
+  const listing = {
+    owner: { id: OWNER },
+    amountRemaining: '5',
+    transfers: [transfer('0x1', '0xb1', 3, 10), transfer('0x2', '0xb2', 2, 11)]
+  };
+  const { newFills } = getListingFills(listing, { amount: 10 });
+
+  assert.deepStrictEqual(newFills.map(fill => fill.id), ['0x1', '0x2']);
+});
@@ -0,0 +1,161 @@
+// Marketplace client against fake Juiced API / gigaverse / subgraph servers
+// Run with: node --test test/
+
+process.env.MARKETPLACE_RETRY_BASE_DELAY_MS = '10';
+process.env.MARKETPLACE_MAX_RETRIES = '2';
+process.env.MARKETPLACE_HOST_RATE = '1000';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const createMarketplaceClient = require('../marketplace-client');
+
+// Fake server: routes maps 'METHOD /path' -> handler(req, body) returning { status, headers, body }
+// (or a promise of one); every request is recorded in server.hits
+function startFakeServer(routes) {
+  const hits = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      const path = new URL(req.url, 'http://localhost').pathname;
+      hits.push({ method: req.method, path, body, headers: req.headers, at: Date.now() });
+      const handler = routes[`${req.method} ${path}`];
+      const reply = handler ? await handler(req, body) : { status: 404, body: {} };
+      res.writeHead(reply.status || 200, { 'Content-Type': 'application/json', ...(reply.headers || {}) });
+      res.end(JSON.stringify(reply.body ?? {}));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        baseUrl,
+        host: new URL(baseUrl).host,
+        hits,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+function createClient(server) {
+  return createMarketplaceClient({
+    apiBaseUrl: server.baseUrl,
+    subgraphUrl: `${server.baseUrl}/subgraph`,
+    gigaverseBaseUrl: server.baseUrl,
+    appVersion: 'test'
+  });
+}
+
+let server;
+
+beforeEach(() => {
+  delete process.env.MARKETPLACE_HOST_RATES;
+});
+
+afterEach(async () => {
+  if (server) {
+    await server.close();
+    server = null;
+  }
+});
+
+test('retries 5xx responses and returns the first successful one', async () => {
+  let calls = 0;
+  server = await startFakeServer({
+    'GET /api/orderbook/1': () => (++calls < 3 ? { status: 503 } : { body: { asks: [{ price: 2 }, { price: 1 }], bids: [] } })
+  });
+
+  const book = await createClient(server).getOrderbook(1);
+  assert.strictEqual(server.hits.length, 3);
+  assert.deepStrictEqual(book.asks.map(ask => ask.price), [1, 2]);
+  assert.strictEqual(server.hits[0].headers['x-app-version'], 'test');
+});
+
+test('gives up after MARKETPLACE_MAX_RETRIES and does not retry other 4xx', async () => {
+  server = await startFakeServer({
+    'GET /api/orderbook/1': () => ({ status: 500 }),
+    'GET /api/orderbook/2': () => ({ status: 404 })
+  });
+  const client = createClient(server);
+
+  await assert.rejects(client.getOrderbook(1), { name: 'HttpError', status: 500 });
+  assert.strictEqual(server.hits.filter(hit => hit.path === '/api/orderbook/1').length, 3);
+
+  await assert.rejects(client.getOrderbook(2), { name: 'HttpError', status: 404 });
+  assert.strictEqual(server.hits.filter(hit => hit.path === '/api/orderbook/2').length, 1);
+});
+
+test('waits for Retry-After on 429', async () => {
+  let calls = 0;
+  server = await startFakeServer({
+    'GET /api/listings': () => (++calls === 1 ? { status: 429, headers: { 'Retry-After': '1' } } : { body: [{ id: 'a' }] })
+  });
+
+  const listings = await createClient(server).getListings(7);
+  assert.deepStrictEqual(listings, [{ id: 'a' }]);
+  assert.strictEqual(server.hits.length, 2);
+  assert.ok(server.hits[1].at - server.hits[0].at >= 950, 'second attempt respects Retry-After');
+});
+
+test('coalesces identical concurrent requests and caches the response', async () => {
+  server = await startFakeServer({
+    'GET /api/orderbook/1': () => new Promise(resolve => setTimeout(() => resolve({ body: { asks: [], bids: [] } }), 50))
+  });
+  const client = createClient(server);
+
+  await Promise.all([client.getOrderbook(1), client.getOrderbook(1), client.getOrderbook(1)]);
+  assert.strictEqual(server.hits.length, 1);
+
+  await client.getOrderbook(1);
+  assert.strictEqual(server.hits.length, 1, 'served from cache');
+
+  await client.getOrderbook(1, { fresh: true });
+  assert.strictEqual(server.hits.length, 2, 'fresh bypasses the cache');
+});
+
+test('spaces requests to one host by the configured rate', async () => {
+  server = await startFakeServer({
+    'GET /api/orderbook/1': () => ({ body: {} }),
+    'GET /api/orderbook/2': () => ({ body: {} }),
+    'GET /api/orderbook/3': () => ({ body: {} })
+  });
+  process.env.MARKETPLACE_HOST_RATES = `${server.host}=10`; // 100ms apart
+  const client = createClient(server);
+
+  await Promise.all([client.getOrderbook(1), client.getOrderbook(2), client.getOrderbook(3)]);
+  const times = server.hits.map(hit => hit.at).sort((a, b) => a - b);
+  assert.strictEqual(times.length, 3);
+  assert.ok(times[1] - times[0] >= 90 && times[2] - times[1] >= 90, `requests spaced: ${times.join(', ')}`);
+});
+
+test('floor lookup maps item ids to ETH and bypasses the cache when fresh', async () => {
+  let price = '1000000000000000000';
+  server = await startFakeServer({
+    'GET /api/marketplace/item/floor/all': () => ({ body: { entities: [{ GAME_ITEM_ID_CID: 5, ETH_MINT_PRICE_CID: price }] } })
+  });
+  const client = createClient(server);
+
+  assert.strictEqual((await client.getFloorPriceLookup()).get('5'), 1);
+  price = '2000000000000000000';
+  assert.strictEqual((await client.getFloorEntities())[0].ETH_MINT_PRICE_CID, '1000000000000000000');
+  assert.strictEqual((await client.getFloorEntities({ fresh: true }))[0].ETH_MINT_PRICE_CID, price);
+});
+
+test('subgraph queries are never cached and surface GraphQL errors', async () => {
+  server = await startFakeServer({
+    'POST /subgraph': (req, body) => {
+      const { variables } = JSON.parse(body);
+      return variables.fail ? { body: { errors: [{ message: 'bad query' }] } } : { body: { data: { listings: [] } } };
+    }
+  });
+  const client = createClient(server);
+
+  assert.deepStrictEqual(await client.querySubgraph('{ listings { id } }'), { listings: [] });
+  await client.querySubgraph('{ listings { id } }');
+  assert.strictEqual(server.hits.length, 2);
+
+  await assert.rejects(client.querySubgraph('{ listings { id } }', { fail: true }), /bad query/);
+});
@@ -0,0 +1,142 @@
+// Notification log claims against an in-memory notification_log table
+// Run with: node --test test/
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createNotificationLog, getIdempotencyKey } = require('../notification-log');
+
+// Fake supabase client: just enough of the query builder for notification-log.js. insert enforces the
+// unique idempotency_key; insertError makes every insert fail with that error instead.
+function createFakeSupabase({ insertError = null } = {}) {
+  const rows = [];
+
+  function from() {
+    const query = { op: 'select', payload: null, filters: [], single: false, returning: false };
+
+    function run() {
+      const matching = rows.filter(row => query.filters.every(filter => filter(row)));
+      switch (query.op) {
+        case 'insert':
+          if (insertError) return { data: null, error: insertError };
+          if (rows.some(row => row.idempotency_key === query.payload.idempotency_key)) {
+            return { data: null, error: { code: '23505', message: 'duplicate key value' } };
+          }
+          rows.push({ ...query.payload });
+          return { data: null, error: null };
+        case 'update':
+          matching.forEach(row => Object.assign(row, query.payload));
+          return { data: query.returning ? matching.map(row => ({ ...row })) : null, error: null };
+        case 'delete':
+          matching.forEach(row => rows.splice(rows.indexOf(row), 1));
+          return { data: null, error: null };
+        default:
+          return { data: query.single ? (matching[0] ?? null) : matching, error: null };
+      }
+    }
+
+    const builder = {
+      select() {
+        if (query.op !== 'select') query.returning = true;
+        return builder;
+      },
+      insert(row) {
+        Object.assign(query, { op: 'insert', payload: row });
+        return builder;
+      },
+      update(fields) {
+        Object.assign(query, { op: 'update', payload: fields });
+        return builder;
+      },
+      delete() {
+        query.op = 'delete';
+        return builder;
+      },
+      eq(column, value) {
+        query.filters.push(row => row[column] === value);
+        return builder;
+      },
+      maybeSingle() {
+        query.single = true;
+        return builder;
+      },
+      then(resolve, reject) {
+        return Promise.resolve().then(run).then(resolve, reject);
+      }
+    };
+    return builder;
+  }
+
+  return { from, rows };
+}
+
+const claim = {
+  alertId: 7,
+  targetId: 'listing-1',
+  fingerprint: 'abc123',
+  alertType: 'listing_alert',
+  owner: { discord_user_id: '42', discord_username: 'alice', webhook_url: 'https://example.com/hook' }
+};
+
+test('idempotency key joins alert, target and fingerprint', () => {
+  assert.strictEqual(getIdempotencyKey(claim), '7:listing-1:abc123');
+  assert.strictEqual(getIdempotencyKey({ fingerprint: 'f' }), '-:-:f');
+});
+
+test('first claim wins, a duplicate is skipped', async () => {
+  const supabase = createFakeSupabase();
+  const log = createNotificationLog(supabase, { workerId: 'w1' });
+
+  assert.strictEqual(await log.claimNotification(claim), true);
+  assert.strictEqual(await log.claimNotification(claim), false);
+  assert.strictEqual(supabase.rows.length, 1);
+
+  const [row] = supabase.rows;
+  assert.strictEqual(row.status, 'pending');
+  assert.strictEqual(row.worker_id, 'w1');
+  assert.strictEqual(row.discord_user_id, '42');
+  assert.strictEqual(row.webhook_url, undefined, 'only owner fields are copied');
+});
+
+test('a stale pending claim is taken over once', async () => {
+  const supabase = createFakeSupabase();
+  await createNotificationLog(supabase, { workerId: 'w1' }).claimNotification(claim);
+  supabase.rows[0].created_at = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+  const second = createNotificationLog(supabase, { workerId: 'w2' });
+  assert.strictEqual(await second.claimNotification(claim), true);
+  assert.strictEqual(supabase.rows[0].worker_id, 'w2');
+
+  const third = createNotificationLog(supabase, { workerId: 'w3' });
+  assert.strictEqual(await third.claimNotification(claim), false, 'the fresh takeover is not stale');
+});
+
+test('a finished claim is never taken over, however old', async () => {
+  const supabase = createFakeSupabase();
+  const log = createNotificationLog(supabase, { workerId: 'w1' });
+  await log.claimNotification(claim);
+  await log.finishNotificationLog(getIdempotencyKey(claim), 'sent', { message: 'hi', results: { discord: true } });
+  supabase.rows[0].created_at = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+  const [row] = supabase.rows;
+  assert.strictEqual(row.status, 'sent');
+  assert.ok(row.sent_at);
+  assert.deepStrictEqual(row.channel_results, { discord: true });
+  assert.strictEqual(await createNotificationLog(supabase, { workerId: 'w2' }).claimNotification(claim), false);
+});
+
+test('a released claim can be claimed again', async () => {
+  const supabase = createFakeSupabase();
+  const log = createNotificationLog(supabase, { workerId: 'w1' });
+  await log.claimNotification(claim);
+  await log.releaseNotificationClaim(claim);
+
+  assert.strictEqual(supabase.rows.length, 0);
+  assert.strictEqual(await log.claimNotification(claim), true);
+});
+
+test('storage errors fail open', async () => {
+  const supabase = createFakeSupabase({ insertError: { code: '08006', message: 'connection failure' } });
+  const log = createNotificationLog(supabase, { workerId: 'w1' });
+
+  assert.strictEqual(await log.claimNotification(claim), true);
+});
@@ -0,0 +1,110 @@
+// ETH/USD oracle with fake HTTP sources and a fake on-chain aggregator
+// Run with: node --test test/
+
+process.env.ETH_USD_CACHE_TTL_MS = '200';
+process.env.ETH_USD_MAX_STALENESS_MS = '50';
+process.env.ETH_USD_FEED_MAX_STALENESS_MS = String(60 * 60 * 1000);
+process.env.ETH_USD_FEED_ADDRESS = '0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419';
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const createPriceOracle = require('../price-oracle');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// request(source, url) stand-in: prices maps source -> price, or -> status code for an HTTP error
+function fakeRequest(prices, calls = []) {
+  const bodies = {
+    binance: price => ({ price: String(price) }),
+    coingecko: price => ({ ethereum: { usd: price } }),
+    coinbase: price => ({ data: { amount: String(price) } }),
+    kraken: price => ({ result: { XETHZUSD: { c: [String(price)] } } })
+  };
+  return async (source) => {
+    calls.push(source);
+    const value = prices[source];
+    if (value && typeof value === 'object') {
+      return { ok: false, status: value.status, json: async () => ({}) };
+    }
+    return { ok: true, status: 200, json: async () => bodies[source](value) };
+  };
+}
+
+// Provider stand-in answering eth_call for the aggregator ABI (8 decimals, like Chainlink ETH/USD)
+function fakeFeedProvider(answer, updatedAtSeconds) {
+  const iface = new ethers.Interface([
+    'function decimals() view returns (uint8)',
+    'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
+  ]);
+  return {
+    call: async (tx) => {
+      const { name } = iface.parseTransaction({ data: tx.data });
+      return name === 'decimals'
+        ? iface.encodeFunctionResult('decimals', [8])
+        : iface.encodeFunctionResult('latestRoundData', [1, ethers.parseUnits(String(answer), 8), updatedAtSeconds, updatedAtSeconds, 1]);
+    }
+  };
+}
+
+afterEach(() => {
+  delete process.env.ETH_USD_SOURCES;
+});
+
+test('reports the median of the answering sources', async () => {
+  process.env.ETH_USD_SOURCES = 'binance,coingecko,coinbase,kraken';
+  const oracle = createPriceOracle({
+    request: fakeRequest({ binance: 3000, coingecko: 3010, coinbase: { status: 503 }, kraken: 2900 })
+  });
+
+  const quote = await oracle.getEthUsdQuote();
+  assert.strictEqual(quote.price, 3000);
+  assert.deepStrictEqual(quote.sources, ['binance', 'coingecko', 'kraken']);
+});
+
+test('averages the middle pair for an even number of quotes', async () => {
+  process.env.ETH_USD_SOURCES = 'binance,coingecko';
+  const oracle = createPriceOracle({ request: fakeRequest({ binance: 3000, coingecko: 3100 }) });
+
+  assert.strictEqual(await oracle.getEthToUsdRate(), 3050);
+});
+
+test('ignores invalid prices and reports 0 when nothing answers', async () => {
+  process.env.ETH_USD_SOURCES = 'binance,coinbase';
+  const oracle = createPriceOracle({ request: fakeRequest({ binance: 0, coinbase: { status: 500 } }) });
+
+  assert.strictEqual(await oracle.getEthUsdQuote(), null);
+  assert.strictEqual(await oracle.getEthToUsdRate(), 0);
+});
+
+test('caches within the TTL and stops reporting a price past the staleness limit', async () => {
+  process.env.ETH_USD_SOURCES = 'binance';
+  const calls = [];
+  const oracle = createPriceOracle({ request: fakeRequest({ binance: 3000 }, calls) });
+
+  assert.strictEqual(await oracle.getEthToUsdRate(), 3000);
+  assert.strictEqual(await oracle.getEthToUsdRate(), 3000);
+  assert.strictEqual(calls.length, 1, 'second call served from cache');
+
+  await sleep(80);
+  assert.strictEqual(await oracle.getEthUsdQuote(), null, 'cached quote outlived ETH_USD_MAX_STALENESS_MS');
+  assert.strictEqual(calls.length, 1, 'no refresh before the TTL');
+
+  await sleep(150);
+  assert.strictEqual(await oracle.getEthToUsdRate(), 3000);
+  assert.strictEqual(calls.length, 2, 'refreshed after the TTL');
+});
+
+test('the on-chain feed is held to its own staleness limit', async () => {
+  process.env.ETH_USD_SOURCES = 'onchain';
+  const thirtyMinutesAgo = Math.floor(Date.now() / 1000) - 30 * 60;
+  const fresh = createPriceOracle({ provider: fakeFeedProvider(3123.45, thirtyMinutesAgo) });
+
+  const quote = await fresh.getEthUsdQuote();
+  assert.strictEqual(quote.price, 3123.45);
+  assert.deepStrictEqual(quote.sources, ['onchain']);
+
+  const twoHoursAgo = Math.floor(Date.now() / 1000) - 2 * 60 * 60;
+  const stale = createPriceOracle({ provider: fakeFeedProvider(3123.45, twoHoursAgo) });
+  assert.strictEqual(await stale.getEthUsdQuote(), null);
+});
@@ -0,0 +1,116 @@
+// User Profiles
+// Per-user settings rows (alert_profiles: wallet, daily P&L summary, webhook secret; digest_preferences) are
+// keyed by the immutable Discord user ID / Telegram chat ID. The username columns are only a legacy fallback
+// for rows written before the ID was known, so a renamed user keeps their settings and whoever takes over the
+// freed username does not inherit them.
+
+// platform -> [ID column, legacy username column]
+const OWNER_COLUMNS = {
+  discord: ['discord_user_id', 'discord_username'],
+  telegram: ['telegram_chat_id', 'telegram_username']
+};
+
+// Helper: Quote a value for a PostgREST filter string (commas and parentheses would otherwise split the filter)
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// owner: { platform: 'discord' | 'telegram', id, username }
+// PostgREST .or() filter matching rows of that owner: the ID, or the legacy username on rows without an ID.
+// Without an ID (legacy alerts) only the username can match. Returns null when there is nothing to match on.
+function ownerFilter({ platform, id, username }) {
+  const [idColumn, usernameColumn] = OWNER_COLUMNS[platform];
+  if (!id) {
+    return username ? `${usernameColumn}.eq.${quoteFilterValue(username)}` : null;
+  }
+
+  const filters = [`${idColumn}.eq.${quoteFilterValue(id)}`];
+  if (username) {
+    filters.push(`and(${idColumn}.is.null,${usernameColumn}.eq.${quoteFilterValue(username)})`);
+  }
+  return filters.join(',');
+}
+
+// Owner of an alert/profile row on one platform (defaults to the platform of its first notification channel)
+function getRowOwner(row, platform = null) {
+  const channels = Array.isArray(row.notification_channels) && row.notification_channels.length > 0
+    ? row.notification_channels
+    : [row.notification_channel];
+  const resolved = platform || (channels[0] === 'telegram' ? 'telegram' : 'discord');
+  const [idColumn, usernameColumn] = OWNER_COLUMNS[resolved];
+  return { platform: resolved, id: row[idColumn] || null, username: row[usernameColumn] || null };
+}
+
+// Recipient fields of a profile row for notifyAlert / deliverAlertNotification
+function getProfileRecipient(profile, channel) {
+  return {
+    notification_channel: channel,
+    discord_user_id: profile.discord_user_id || null,
+    discord_username: profile.discord_username || null,
+    telegram_chat_id: profile.telegram_chat_id || null,
+    telegram_username: profile.telegram_username || null
+  };
+}
+
+// Create the profile helpers
+function createUserProfiles(supabase) {
+  // The owner's row of a settings table as { data, error }; a row with the ID wins over a legacy username row
+  async function findProfile(table, owner, columns = '*') {
+    const filter = ownerFilter(owner);
+    if (!filter) {
+      return { data: null, error: null };
+    }
+
+    const [idColumn] = OWNER_COLUMNS[owner.platform];
+    const { data, error } = await supabase
+      .from(table)
+      .select(columns)
+      .or(filter)
+      .order(idColumn, { ascending: true, nullsFirst: false })
+      .limit(1);
+
+    return { data: data?.[0] || null, error };
+  }
+
+  // Update the owner's row (claiming a legacy username row by writing the ID to it) or insert one
+  async function saveProfile(table, owner, fields) {
+    const [idColumn, usernameColumn] = OWNER_COLUMNS[owner.platform];
+    const { data: existing, error } = await findProfile(table, owner, 'id');
+    if (error) {
+      return { error };
+    }
+
+    const row = {
+      ...fields,
+      [idColumn]: String(owner.id),
+      [usernameColumn]: owner.username || null,
+      updated_at: new Date().toISOString()
+    };
+    if (existing) {
+      return supabase.from(table).update(row).eq('id', existing.id);
+    }
+    return supabase.from(table).insert(row);
+  }
+
+  // After account linking: legacy rows under the verified current username now belong to the ID
+  async function claimLegacyProfiles(owner) {
+    if (!owner.username) return;
+    const [idColumn, usernameColumn] = OWNER_COLUMNS[owner.platform];
+
+    for (const table of ['alert_profiles', 'digest_preferences']) {
+      const { error } = await supabase
+        .from(table)
+        .update({ [idColumn]: String(owner.id) })
+        .is(idColumn, null)
+        .eq(usernameColumn, owner.username);
+
+      if (error) {
+        console.error(`Error linking ${table} to ${owner.platform} ${owner.id}:`, error);
+      }
+    }
+  }
+
+  return { findProfile, saveProfile, claimLegacyProfiles };
+}
+
+module.exports = { createUserProfiles, ownerFilter, quoteFilterValue, getRowOwner, getProfileRecipient };
@@ -0,0 +1,195 @@
+// Outgoing Webhook Notifier
+// POSTs signed JSON alert payloads to user-configured URLs and keeps a delivery log.
+// Each send is a single attempt; failed deliveries are retried by the notification queue.
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const https = require('https');
+const net = require('net');
+const { APP_VERSION } = require('./version');
+const { createUserProfiles, getRowOwner } = require('./user-profiles');
+
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+const ORDERBOOK_SNAPSHOT_LEVELS = 5;
+
+// Addresses a user-supplied URL must never reach (loopback, private, link-local, CGNAT, multicast, ...)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isBlockedAddress(address) {
+  const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as IPv4
+  const mapped = family === 'ipv6' && address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  return BLOCKED_ADDRESSES.check(address, family);
+}
+
+// Throws unless url is https and every address its host resolves to is public
+// Returns { url, address: { address, family } } with the address the request has to be pinned to
+async function validateWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error('invalid URL');
+  }
+  if (parsed.protocol !== 'https:') {
+    throw new Error('only https URLs are allowed');
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await dns.lookup(host, { all: true });
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new Error(`host ${parsed.hostname} is not a public address`);
+  }
+  return { url: parsed, address: addresses[0] };
+}
+
+// POST to a validated target, connecting to the checked address instead of resolving the host again (a
+// DNS-rebinding host could otherwise answer the second lookup with an internal address). TLS still verifies
+// the certificate against the hostname. Redirects are not followed. Resolves to the HTTP status.
+function postPinned({ url, address }, headers, body) {
+  const lookup = (hostname, options, callback) => (options.all
+    ? callback(null, [address])
+    : callback(null, address.address, address.family));
+
+  return new Promise((resolve, reject) => {
+    const request = https.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    }, (response) => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// Signature over `${timestamp}.${body}` so receivers can reject replays
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Create the webhook notifier (registered as the 'webhook' channel)
+// Recipient is the alert itself: alert.webhook_url, signed with the owner's alert_profiles.webhook_secret
+function createWebhookNotifier({ supabase, fetchOrderbook, getEthToUsdRate }) {
+  const userProfiles = createUserProfiles(supabase);
+
+  async function getWebhookSecret(alert) {
+    if (alert.webhook_secret) {
+      return alert.webhook_secret;
+    }
+
+    const platform = alert.discord_user_id || alert.discord_username ? 'discord' : 'telegram';
+    const { data, error } = await userProfiles.findProfile('alert_profiles', getRowOwner(alert, platform), 'webhook_secret');
+
+    if (error) {
+      console.error('[WEBHOOK] Failed to load webhook secret:', error.message);
+      return null;
+    }
+    return data?.webhook_secret || null;
+  }
+
+  async function logDelivery(entry) {
+    const { error } = await supabase
+      .from('webhook_deliveries')
+      .insert({ ...entry, created_at: new Date().toISOString() });
+
+    if (error) {
+      console.error('[WEBHOOK] Failed to write delivery log:', error.message);
+    }
+  }
+
+  async function buildPayload(alert, notification, deliveryId) {
+    const [orderbook, ethToUsdRate] = await Promise.all([
+      notification.itemId ? fetchOrderbook(notification.itemId) : null,
+      getEthToUsdRate()
+    ]);
+
+    return {
+      event: 'alert.triggered',
+      delivery_id: deliveryId,
+      alert_id: alert.id,
+      alert_type: alert.alert_type,
+      item_id: notification.itemId ? String(notification.itemId) : null,
+      condition: notification.condition,
+      message: notification.message,
+      data: notification.data || null,
+      eth_usd_rate: ethToUsdRate || null,
+      orderbook: orderbook
+        ? {
+            asks: orderbook.asks.slice(0, ORDERBOOK_SNAPSHOT_LEVELS),
+            bids: orderbook.bids.slice(0, ORDERBOOK_SNAPSHOT_LEVELS)
+          }
+        : null,
+      sent_at: new Date().toISOString()
+    };
+  }
+
+  async function send(alert, notification) {
+    const url = alert.webhook_url;
+    const secret = await getWebhookSecret(alert);
+    if (!secret) {
+      console.error(`[WEBHOOK] No webhook secret for alert ${alert.id} - not sending unsigned payload`);
+      return false;
+    }
+
+    const deliveryId = crypto.randomUUID();
+    const body = JSON.stringify(await buildPayload(alert, notification, deliveryId));
+
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    let status = null;
+    let lastError = null;
+
+    try {
+      const target = await validateWebhookUrl(url);
+      status = await postPinned(target, {
+        'Content-Type': 'application/json',
+        'User-Agent': `juiced-alerts/${APP_VERSION}`,
+        'X-Juiced-Delivery': deliveryId,
+        'X-Juiced-Timestamp': timestamp,
+        'X-Juiced-Signature': `sha256=${signPayload(secret, timestamp, body)}`
+      }, body);
+      // Redirects count as failures: their target would skip the address check
+      if (status < 200 || status >= 300) {
+        lastError = `HTTP ${status}`;
+      }
+    } catch (error) {
+      lastError = error.message;
+    }
+
+    const success = lastError === null;
+    await logDelivery({
+      delivery_id: deliveryId,
+      alert_id: alert.id,
+      url,
+      attempts: 1,
+      status_code: status,
+      success,
+      error: lastError
+    });
+
+    if (success) {
+      console.log(`[WEBHOOK] ✅ Delivered ${deliveryId} for alert ${alert.id}`);
+    } else {
+      console.error(`[WEBHOOK] ❌ Delivery ${deliveryId} for alert ${alert.id} failed: ${lastError}`);
+    }
+    return success;
+  }
+
+  return {
+    getRecipient: (alert) => (alert.webhook_url ? alert : null),
+    send
+  };
+}
+
+module.exports = createWebhookNotifier;